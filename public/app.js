@@ -8,9 +8,40 @@ class HexpertApp {
         this.socket = null;
         this.audioHandler = new AudioHandler();
         this.selectedGame = 'munchkin';
+        // Games offered by the server by id, and the sets in play at this table
+        this.games = {};
+        this.tableSets = [];
+        // Language this table asks and answers in, a code or "auto"
+        this.tableLanguage = 'auto';
+        // Table room this device is in, kept across reloads so it can rejoin,
+        // and the last transcript event seen, so a reconnect only replays what was missed
+        this.deviceId = this.loadDeviceId();
+        this.roomCode = localStorage.getItem('hexpert-room-code');
+        this.room = null;
+        this.lastSequence = 0;
+        // Spoken answers play one after another; talking over Hexpert stops them
+        this.speechPlayer = new SpeechPlayer({
+            onSpeakingChange: (speaking) => this.audioHandler.setAssistantSpeaking(speaking),
+            onResponseChange: (responseId) => this.markSpeakingResponse(responseId),
+            onError: (message) => this.displayError(message)
+        });
+        this.audioHandler.onBargeIn = () => this.speechPlayer.stopAll();
+        this.audioHandler.onLevel = (level) => this.renderInputLevel(level);
+        this.isListening = false;
+        this.listeningState = 'idle';
+        this.wakeWordRequired = true;
+        // Questions heard or typed so far, newest last, for re-asking and editing
+        this.questionHistory = [];
+        this.historyIndex = null;
         
         this.initializeElements();
         this.setupEventListeners();
+        // Capture mode and microphone are this device's own, kept across reloads
+        this.applyCaptureMode(localStorage.getItem('hexpert-capture-mode') || 'wake-word');
+        this.audioHandler.setMicrophone(localStorage.getItem('hexpert-microphone'));
+        this.renderMicrophones();
+        this.loadConfig();
+        this.loadGames();
         this.connectToServer();
     }
 
@@ -21,9 +52,35 @@ class HexpertApp {
         this.elements = {
             startBtn: document.getElementById('start-listening'),
             stopBtn: document.getElementById('stop-listening'),
+            resetBtn: document.getElementById('reset-conversation'),
+            askForm: document.getElementById('ask-form'),
+            askInput: document.getElementById('ask-input'),
+            speakToggle: document.getElementById('speak-answer'),
+            wakeBtn: document.getElementById('wake-hexpert'),
+            talkBtn: document.getElementById('talk-button'),
+            captureModeSelector: document.getElementById('capture-mode'),
+            microphoneSelector: document.getElementById('microphone'),
+            levelMeter: document.getElementById('level-meter'),
+            levelMeterFill: document.getElementById('level-meter-fill'),
+            levelMeterThreshold: document.getElementById('level-meter-threshold'),
             gameSelector: document.getElementById('game-mode'),
+            setSelector: document.getElementById('set-selector'),
+            languageSelector: document.getElementById('language-mode'),
+            roomCode: document.getElementById('room-code'),
+            roomDevices: document.getElementById('room-devices'),
+            speakerStatus: document.getElementById('speaker-status'),
+            joinRoomForm: document.getElementById('join-room-form'),
+            joinRoomCode: document.getElementById('join-room-code'),
+            leaveRoomBtn: document.getElementById('leave-room'),
+            claimSpeakerBtn: document.getElementById('claim-speaker'),
             connectionStatus: document.getElementById('connection-indicator'),
             listeningStatus: document.getElementById('listening-indicator'),
+            tablePlayers: document.getElementById('table-players'),
+            addPlayerForm: document.getElementById('add-player-form'),
+            newPlayerName: document.getElementById('new-player-name'),
+            houseRules: document.getElementById('house-rules'),
+            addHouseRuleForm: document.getElementById('add-house-rule-form'),
+            newHouseRule: document.getElementById('new-house-rule'),
             transcriptOutput: document.getElementById('transcript-output')
         };
     }
@@ -42,18 +99,420 @@ class HexpertApp {
             this.stopVoiceAssistant();
         });
 
+        // Manual wake button, same as saying "Hey Hexpert"
+        this.elements.wakeBtn.addEventListener('click', () => {
+            this.speechPlayer.stopAll();
+            this.audioHandler.detectWakeWord();
+        });
+
+        // Push-to-talk: hold the button to talk, release to send what was said
+        this.elements.talkBtn.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.elements.talkBtn.setPointerCapture(e.pointerId);
+            this.pressTalkButton();
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.elements.talkBtn.addEventListener(type, () => this.releaseTalkButton());
+        });
+
+        // Holding the spacebar works like the talk button, unless typing
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') {
+                this.releaseTalkButton();
+            }
+        });
+        // A key released in another window never arrives here
+        window.addEventListener('blur', () => this.releaseTalkButton());
+
+        // How this device picks out questions
+        this.elements.captureModeSelector.addEventListener('change', (e) => {
+            localStorage.setItem('hexpert-capture-mode', e.target.value);
+            this.applyCaptureMode(e.target.value);
+        });
+
+        // Which microphone this device listens with
+        this.elements.microphoneSelector.addEventListener('change', (e) => {
+            this.selectMicrophone(e.target.value);
+        });
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.renderMicrophones());
+        }
+
+        // Reset conversation button
+        this.elements.resetBtn.addEventListener('click', () => {
+            if (this.socket) {
+                this.socket.emit('reset-conversation');
+            }
+        });
+
+        // Typed questions, for when the table is too loud for the microphone
+        this.elements.askForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = this.elements.askInput.value.trim();
+            if (text) {
+                this.askText(text);
+                this.elements.askInput.value = '';
+            }
+        });
+
+        // Up/Down in the text box step through earlier questions, like a shell
+        this.elements.askInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.stepQuestionHistory(e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        // Global shortcuts for fixing what Whisper misheard
+        document.addEventListener('keydown', (e) => {
+            this.handleShortcut(e);
+        });
+
+        // Add a player to the table by hand
+        this.elements.addPlayerForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = this.elements.newPlayerName.value.trim();
+            if (name) {
+                this.sendTableChanges({ updates: [{ player: name }] });
+                this.elements.newPlayerName.value = '';
+            }
+        });
+
+        // Add a house rule by hand
+        this.elements.addHouseRuleForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const rule = this.elements.newHouseRule.value.trim();
+            if (rule) {
+                this.sendTableChanges({ addHouseRules: [rule] });
+                this.elements.newHouseRule.value = '';
+            }
+        });
+
+        // Join another device's table by its code
+        this.elements.joinRoomForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = this.elements.joinRoomCode.value.trim().toUpperCase();
+            if (code && this.socket) {
+                this.socket.emit('join-room', { code });
+                this.elements.joinRoomCode.value = '';
+            }
+        });
+
+        // Start a new table of this device's own
+        this.elements.leaveRoomBtn.addEventListener('click', () => {
+            if (this.socket) {
+                this.socket.emit('leave-room');
+            }
+        });
+
+        // Make this device the one that speaks the answers
+        this.elements.claimSpeakerBtn.addEventListener('click', () => {
+            if (this.socket) {
+                this.socket.emit('claim-speaker');
+            }
+        });
+
         // Game mode selector
         this.elements.gameSelector.addEventListener('change', (e) => {
             this.selectedGame = e.target.value;
             console.log(`Game mode changed to: ${this.selectedGame}`);
+            this.sendGameSelection();
+            this.renderSetSelector();
         });
+
+        // Language selector, shared by everyone at the table
+        this.elements.languageSelector.addEventListener('change', (e) => {
+            if (this.socket && this.socket.connected) {
+                this.socket.emit('select-language', { language: e.target.value });
+            }
+        });
+    }
+
+    /**
+     * Apply server-side configuration such as voice activity thresholds
+     * and the languages on offer
+     */
+    async loadConfig() {
+        try {
+            const response = await fetch('/api/config');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const config = await response.json();
+            this.audioHandler.configure(config.vad);
+            this.renderSpeechThreshold();
+
+            // The server's default mode until this device picks one
+            const savedMode = localStorage.getItem('hexpert-capture-mode');
+            const captureModes = config.captureModes || [];
+            if (!captureModes.includes(savedMode) && captureModes.includes(config.defaultCaptureMode)) {
+                this.applyCaptureMode(config.defaultCaptureMode);
+            }
+            this.renderLanguageSelector(config.languages || []);
+
+        } catch (error) {
+            // The built-in defaults still work, so this is not shown to the user
+            console.error('Failed to load config, using defaults:', error);
+        }
+    }
+
+    /**
+     * Switch this device's capture mode, showing the controls that mode uses:
+     * the "Hey Hexpert" button in wake-word mode, the talk button in push-to-talk mode
+     * @param {string} mode - continuous, wake-word or push-to-talk
+     */
+    applyCaptureMode(mode) {
+        this.audioHandler.setCaptureMode(mode);
+        this.elements.captureModeSelector.value = mode;
+        this.elements.wakeBtn.hidden = mode !== 'wake-word';
+        this.elements.talkBtn.hidden = mode !== 'push-to-talk';
+        this.elements.talkBtn.classList.remove('talking');
+        this.updateListeningStatus(this.isListening);
+    }
+
+    /**
+     * Start sending what is said, from the talk button or the spacebar
+     */
+    pressTalkButton() {
+        if (this.audioHandler.captureMode !== 'push-to-talk' || !this.isListening) {
+            return;
+        }
+        this.audioHandler.pressTalkButton();
+        this.elements.talkBtn.classList.add('talking');
+    }
+
+    /**
+     * Send what was said while the talk button or spacebar was held
+     */
+    releaseTalkButton() {
+        this.audioHandler.releaseTalkButton();
+        this.elements.talkBtn.classList.remove('talking');
+    }
+
+    /**
+     * List the browser's microphones in the selector. Their names only show
+     * once microphone access has been granted.
+     */
+    async renderMicrophones() {
+        const selector = this.elements.microphoneSelector;
+        try {
+            const microphones = await this.audioHandler.listMicrophones();
+            selector.innerHTML = '';
+            [{ deviceId: '', label: 'Default microphone' }, ...microphones].forEach(microphone => {
+                const option = document.createElement('option');
+                option.value = microphone.deviceId;
+                option.textContent = microphone.label;
+                selector.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to list microphones:', error);
+        }
+
+        // A chosen microphone that has been unplugged shows as the default
+        const chosen = this.audioHandler.microphoneId || '';
+        selector.value = [...selector.options].some(option => option.value === chosen) ? chosen : '';
+    }
+
+    /**
+     * Listen with another microphone, restarting the capture if it's running
+     * @param {string} deviceId - Device id, or '' for the default microphone
+     */
+    async selectMicrophone(deviceId) {
+        if (deviceId) {
+            localStorage.setItem('hexpert-microphone', deviceId);
+        } else {
+            localStorage.removeItem('hexpert-microphone');
+        }
+
+        try {
+            await this.audioHandler.setMicrophone(deviceId);
+        } catch (error) {
+            console.error('Failed to switch microphone:', error);
+            this.displayError(error.message);
+            this.stopVoiceAssistant();
+        }
+        this.renderMicrophones();
+    }
+
+    /**
+     * Microphone level on a square-root scale, so quiet speech still moves the meter
+     * @param {number} level - RMS amplitude between 0 and 1
+     * @returns {number} - Percentage of the meter's width
+     */
+    levelToPercent(level) {
+        return Math.min(100, Math.sqrt(level / 0.25) * 100);
+    }
+
+    /**
+     * Show the live microphone level, highlighted when it counts as speech
+     */
+    renderInputLevel(level) {
+        const percent = Math.round(this.levelToPercent(level));
+        this.elements.levelMeterFill.style.width = `${percent}%`;
+        this.elements.levelMeterFill.classList.toggle('level-speech', level >= this.audioHandler.vadConfig.speechThreshold);
+        this.elements.levelMeter.setAttribute('aria-valuenow', percent);
+    }
+
+    /**
+     * Mark the level speech has to reach on the meter
+     */
+    renderSpeechThreshold() {
+        const percent = this.levelToPercent(this.audioHandler.vadConfig.speechThreshold);
+        this.elements.levelMeterThreshold.style.left = `${percent}%`;
+    }
+
+    /**
+     * Fill the game selector with the games registered on the server
+     */
+    async loadGames() {
+        try {
+            const response = await fetch('/api/games');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { games, defaultGameId } = await response.json();
+
+            const selector = this.elements.gameSelector;
+            selector.innerHTML = '';
+            games.forEach(game => {
+                this.games[game.id] = game;
+                const option = document.createElement('option');
+                option.value = game.id;
+                option.textContent = game.name;
+                selector.appendChild(option);
+            });
+
+            // Keep the current choice if the server still offers it
+            if (!games.some(game => game.id === this.selectedGame)) {
+                this.selectedGame = defaultGameId;
+            }
+            selector.value = this.selectedGame;
+            this.renderSetSelector();
+
+        } catch (error) {
+            console.error('Failed to load games:', error);
+            this.displayError('Could not load the list of games');
+        }
+    }
+
+    /**
+     * Stable id for this device, so it keeps its speaker role across reconnects
+     */
+    loadDeviceId() {
+        let deviceId = localStorage.getItem('hexpert-device-id');
+        if (!deviceId) {
+            // crypto.randomUUID() is missing on plain-HTTP LAN addresses, where phones join from
+            deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            localStorage.setItem('hexpert-device-id', deviceId);
+        }
+        return deviceId;
+    }
+
+    /**
+     * Show the table code, how many devices are at the table and who speaks the answers
+     */
+    renderRoom() {
+        const room = this.room;
+        this.elements.roomCode.textContent = room.code;
+        this.elements.roomDevices.textContent = room.devices === 1 ? '1 device' : `${room.devices} devices`;
+
+        const isSpeaker = room.speakerDeviceId === this.deviceId;
+        this.elements.claimSpeakerBtn.disabled = isSpeaker;
+        if (isSpeaker) {
+            this.elements.speakerStatus.textContent = '🔊 This device speaks the answers';
+        } else if (room.speakerConnected) {
+            this.elements.speakerStatus.textContent = '🔈 Another device speaks the answers';
+        } else {
+            this.elements.speakerStatus.textContent = '🔈 The speaker device is away; answers are spoken on the device that asked';
+        }
+    }
+
+    /**
+     * Track the latest transcript event seen, for catching up after a reconnect
+     */
+    trackSequence(data) {
+        if (data.sequence) {
+            this.lastSequence = Math.max(this.lastSequence, data.sequence);
+        }
+    }
+
+    /**
+     * Tell the server which game this client is asking about
+     */
+    sendGameSelection() {
+        if (this.socket && this.socket.connected && this.selectedGame) {
+            this.socket.emit('select-game', { gameId: this.selectedGame });
+        }
+    }
+
+    /**
+     * Show the selected game's editions (pick one) and expansions (pick any),
+     * ticked as they are in play at this table
+     */
+    renderSetSelector() {
+        const container = this.elements.setSelector;
+        const game = this.games[this.selectedGame];
+        container.querySelectorAll('label').forEach(label => label.remove());
+        container.hidden = !game || game.sets.length === 0;
+        if (container.hidden) {
+            return;
+        }
+
+        game.sets.forEach(set => {
+            const label = document.createElement('label');
+            label.title = set.description;
+
+            const input = document.createElement('input');
+            input.type = set.type === 'edition' ? 'radio' : 'checkbox';
+            input.name = set.type === 'edition' ? 'edition' : 'expansion';
+            input.value = set.id;
+            input.checked = this.tableSets.includes(set.id);
+            input.addEventListener('change', () => this.sendSetSelection());
+
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(` ${set.name}`));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Fill the language selector with the languages the server supports
+     * @param {Array<Object>} languages - { code, name }, automatic detection first
+     */
+    renderLanguageSelector(languages) {
+        const selector = this.elements.languageSelector;
+        selector.innerHTML = '';
+        languages.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.code;
+            option.textContent = language.name;
+            selector.appendChild(option);
+        });
+        selector.value = this.tableLanguage;
+    }
+
+    /**
+     * Tell the server which editions and expansions are ticked
+     */
+    sendSetSelection() {
+        const sets = [...this.elements.setSelector.querySelectorAll('input:checked')].map(input => input.value);
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('select-sets', { sets });
+        }
     }
 
     /**
      * Connect to the backend server via Socket.IO
      */
     connectToServer() {
-        this.socket = io();
+        // Sent on every (re)connect, so the server can put this device back at its table
+        this.socket = io({
+            auth: (callback) => callback({
+                roomCode: this.roomCode,
+                deviceId: this.deviceId,
+                since: this.lastSequence
+            })
+        });
         
         // Connection established
         this.socket.on('connect', () => {
@@ -62,6 +521,32 @@ class HexpertApp {
             this.audioHandler.initialize(this.socket);
         });
 
+        // Joined a table; a different table's transcript starts from scratch
+        this.socket.on('room-joined', (room) => {
+            if (room.code !== this.roomCode) {
+                this.clearTranscript();
+                this.lastSequence = 0;
+            }
+            this.roomCode = room.code;
+            localStorage.setItem('hexpert-room-code', room.code);
+            this.room = room;
+            this.renderRoom();
+        });
+
+        // Devices joined or left the table, or another device became the speaker
+        this.socket.on('room-state', (room) => {
+            this.room = room;
+            this.renderRoom();
+        });
+
+        // The table's game, chosen on this or another device
+        this.socket.on('game-selected', (game) => {
+            console.log(`Server switched to game: ${game.name}`);
+            this.selectedGame = game.id;
+            this.elements.gameSelector.value = game.id;
+            this.renderSetSelector();
+        });
+
         // Connection lost
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
@@ -71,19 +556,59 @@ class HexpertApp {
 
         // Handle transcribed text from server
         this.socket.on('transcription', (data) => {
-            this.displayTranscription(data.text, data.timestamp);
+            this.trackSequence(data);
+            this.rememberQuestion(data.question || data.text);
+            this.displayTranscription(data.text, data.timestamp, data.ignored, data.typed);
+
+            // Someone at the table said "Hey Hexpert": stop talking and listen
+            if (data.wakeWordDetected && !data.replayed) {
+                this.speechPlayer.stopAll();
+            }
+        });
+
+        // Handle wake-word state changes (idle, armed, capturing, answering)
+        this.socket.on('listening-state', (data) => {
+            this.listeningState = data.state;
+            this.wakeWordRequired = data.wakeWordRequired;
+            this.updateListeningStatus(this.isListening);
+        });
+
+        // Handle streamed pieces of an AI response
+        this.socket.on('ai-response-chunk', (data) => {
+            this.appendAIResponseChunk(data.responseId, data.delta, data.timestamp);
         });
 
-        // Handle AI responses
+        // Handle complete AI responses
         this.socket.on('ai-response', (data) => {
             console.log('AI Response:', data.answer);
-            this.displayAIResponse(data.answer, data.timestamp);
+            this.trackSequence(data);
+            this.displayAIResponse(data.answer, data.timestamp, data.responseId, {
+                citations: data.citations,
+                grounded: data.grounded,
+                language: data.language,
+                offline: data.offline
+            });
         });
 
-        // Handle TTS audio responses
+        // Handle TTS audio responses, one clip per sentence
         this.socket.on('tts-audio', (data) => {
             console.log('TTS Audio received:', data.timestamp);
-            this.playTTSAudio(data.audio, data.timestamp);
+            this.speechPlayer.enqueue(data.audio, data.responseId, data.sequence);
+        });
+
+        // The table changed, by voice or from an edit here
+        this.socket.on('table-state', (table) => {
+            this.renderTableState(table);
+            this.renderHouseRules(table.houseRules);
+            this.tableSets = table.sets;
+            this.renderSetSelector();
+            this.tableLanguage = table.language;
+            this.elements.languageSelector.value = table.language;
+        });
+
+        // Server forgot earlier questions
+        this.socket.on('conversation-reset', () => {
+            this.displayNotice('New conversation started');
         });
 
         // Handle errors
@@ -103,10 +628,10 @@ class HexpertApp {
             // Update UI state
             this.elements.startBtn.disabled = true;
             this.elements.stopBtn.disabled = false;
+            this.elements.talkBtn.disabled = false;
             this.updateListeningStatus(true);
-            
-            // Clear previous transcriptions
-            this.clearTranscript();
+            // Microphone names are only available now that access is granted
+            this.renderMicrophones();
             
             console.log('Voice assistant started');
             
@@ -125,6 +650,8 @@ class HexpertApp {
         // Update UI state
         this.elements.startBtn.disabled = false;
         this.elements.stopBtn.disabled = true;
+        this.elements.talkBtn.disabled = true;
+        this.elements.talkBtn.classList.remove('talking');
         this.updateListeningStatus(false);
         
         console.log('Voice assistant stopped');
@@ -149,19 +676,194 @@ class HexpertApp {
      */
     updateListeningStatus(isListening) {
         const indicator = this.elements.listeningStatus;
+        this.isListening = isListening;
+
         if (isListening) {
-            indicator.textContent = 'Active';
-            indicator.className = 'status-active';
+            const idleLabels = {
+                'wake-word': 'Say "Hey Hexpert"',
+                'push-to-talk': 'Hold Space or the talk button',
+                continuous: 'Listening'
+            };
+            const labels = {
+                idle: this.wakeWordRequired ? idleLabels['wake-word'] : idleLabels[this.audioHandler.captureMode] || 'Active',
+                armed: 'Listening for your question...',
+                capturing: 'Hearing your question...',
+                answering: 'Answering...'
+            };
+            indicator.textContent = labels[this.listeningState] || 'Active';
+            indicator.className = `status-active status-${this.listeningState}`;
         } else {
             indicator.textContent = 'Inactive';
             indicator.className = 'status-inactive';
         }
     }
 
+    /**
+     * Ask a typed question, skipping transcription and the wake phrase
+     */
+    askText(text) {
+        if (!this.socket || !this.socket.connected) {
+            this.displayError('Not connected to the server');
+            return;
+        }
+        this.socket.emit('ask-text', { text, speak: this.elements.speakToggle.checked });
+    }
+
+    /**
+     * Remember a heard or typed question for the history shortcuts
+     */
+    rememberQuestion(text) {
+        if (text && text !== this.questionHistory[this.questionHistory.length - 1]) {
+            this.questionHistory.push(text);
+        }
+        this.historyIndex = null;
+    }
+
+    /**
+     * Show an earlier (-1) or later (+1) question in the text box
+     */
+    stepQuestionHistory(direction) {
+        if (this.questionHistory.length === 0) {
+            return;
+        }
+
+        const current = this.historyIndex === null ? this.questionHistory.length : this.historyIndex;
+        const next = Math.min(Math.max(current + direction, 0), this.questionHistory.length);
+        this.historyIndex = next === this.questionHistory.length ? null : next;
+        this.elements.askInput.value = this.historyIndex === null ? '' : this.questionHistory[this.historyIndex];
+    }
+
+    /**
+     * Keyboard shortcuts: "/" focuses the text box, Alt+E edits the last
+     * transcription, Alt+R asks it again unchanged
+     */
+    handleShortcut(e) {
+        const lastQuestion = this.questionHistory[this.questionHistory.length - 1];
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+
+        if (e.code === 'Space' && !typing && this.audioHandler.captureMode === 'push-to-talk' && this.isListening) {
+            // Held keys repeat; only the first press starts the utterance
+            e.preventDefault();
+            if (!e.repeat) {
+                this.pressTalkButton();
+            }
+        } else if (e.key === '/' && !typing) {
+            e.preventDefault();
+            this.elements.askInput.focus();
+        } else if (e.altKey && e.code === 'KeyE' && lastQuestion) {
+            e.preventDefault();
+            this.elements.askInput.value = lastQuestion;
+            this.elements.askInput.focus();
+            this.elements.askInput.select();
+        } else if (e.altKey && e.code === 'KeyR' && lastQuestion) {
+            e.preventDefault();
+            this.askText(lastQuestion);
+        }
+    }
+
+    /**
+     * Send edits to the table in the same form the game expert uses
+     */
+    sendTableChanges(changes) {
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('update-table-state', changes);
+        }
+    }
+
+    /**
+     * Render the table's players as editable rows
+     */
+    renderTableState(table) {
+        const body = this.elements.tablePlayers;
+        body.innerHTML = '';
+
+        if (table.players.length === 0) {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 7;
+            cell.className = 'placeholder';
+            cell.textContent = 'No players yet';
+            return;
+        }
+
+        // Comma-separated text for list fields
+        const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+        table.players.forEach(player => {
+            const row = body.insertRow();
+
+            const turn = document.createElement('input');
+            turn.type = 'radio';
+            turn.name = 'current-turn';
+            turn.checked = player.name === table.currentTurn;
+            turn.addEventListener('change', () => this.sendTableChanges({ currentTurn: player.name }));
+            row.insertCell().appendChild(turn);
+
+            const fields = [
+                { value: player.name, toChange: value => ({ rename: value }) },
+                { value: player.level, type: 'number', toChange: value => ({ level: parseInt(value, 10) }) },
+                { value: player.races.join(', '), toChange: value => ({ races: splitList(value) }) },
+                { value: player.classes.join(', '), toChange: value => ({ classes: splitList(value) }) },
+                { value: player.gear.join(', '), toChange: value => ({ gear: splitList(value) }) }
+            ];
+            fields.forEach(({ value, type, toChange }) => {
+                const input = document.createElement('input');
+                input.type = type || 'text';
+                input.value = value;
+                if (type === 'number') {
+                    input.min = 1;
+                }
+                input.addEventListener('change', () => {
+                    this.sendTableChanges({ updates: [{ player: player.name, ...toChange(input.value) }] });
+                });
+                row.insertCell().appendChild(input);
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-remove';
+            remove.textContent = '✖';
+            remove.title = `Remove ${player.name}`;
+            remove.addEventListener('click', () => {
+                this.sendTableChanges({ updates: [{ player: player.name, remove: true }] });
+            });
+            row.insertCell().appendChild(remove);
+        });
+    }
+
+    /**
+     * Render the table's house rules, numbered as the game expert sees them
+     */
+    renderHouseRules(rules) {
+        const list = this.elements.houseRules;
+        list.innerHTML = '';
+
+        if (rules.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'placeholder';
+            item.textContent = 'No house rules - playing by the book';
+            list.appendChild(item);
+            return;
+        }
+
+        rules.forEach((rule, i) => {
+            const item = document.createElement('li');
+            item.textContent = rule;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-remove';
+            remove.textContent = '✖';
+            remove.title = 'Remove this house rule';
+            remove.addEventListener('click', () => this.sendTableChanges({ removeHouseRules: [i + 1] }));
+            item.appendChild(remove);
+
+            list.appendChild(item);
+        });
+    }
+
     /**
      * Display transcribed text in the output area
      */
-    displayTranscription(text, timestamp) {
+    displayTranscription(text, timestamp, ignored = false, typed = false) {
         const transcriptBox = this.elements.transcriptOutput;
         
         // Clear placeholder text
@@ -171,19 +873,27 @@ class HexpertApp {
         
         // Create new transcript entry
         const entry = document.createElement('div');
-        entry.className = 'transcript-text';
-        entry.innerHTML = `<strong>[${new Date(timestamp).toLocaleTimeString()}] You:</strong> ${text}`;
+        entry.className = ignored ? 'transcript-text transcript-ignored' : 'transcript-text';
+        entry.innerHTML = `<strong>[${new Date(timestamp).toLocaleTimeString()}] You${typed ? ' (typed)' : ''}:</strong> `;
+        entry.appendChild(document.createTextNode(text));
+        if (ignored) {
+            entry.title = 'Not answered - say "Hey Hexpert" first';
+        }
         
         transcriptBox.appendChild(entry);
         transcriptBox.scrollTop = transcriptBox.scrollHeight;
     }
 
     /**
-     * Display AI response in the output area
+     * Find the transcript entry for a response, creating it on first use
      */
-    displayAIResponse(response, timestamp) {
+    getResponseEntry(responseId, timestamp) {
         const transcriptBox = this.elements.transcriptOutput;
-        
+        const existing = responseId && transcriptBox.querySelector(`.ai-response[data-response-id="${responseId}"]`);
+        if (existing) {
+            return existing;
+        }
+
         // Create AI response entry
         const entry = document.createElement('div');
         entry.className = 'ai-response';
@@ -191,77 +901,207 @@ class HexpertApp {
         entry.style.padding = '10px';
         entry.style.margin = '5px 0';
         entry.style.borderLeft = '4px solid #2196F3';
-        entry.innerHTML = `<strong>[${new Date(timestamp).toLocaleTimeString()}] Hexpert:</strong><br>${response}`;
+        if (responseId) {
+            entry.dataset.responseId = responseId;
+        }
+        entry.innerHTML = `<strong>[${new Date(timestamp).toLocaleTimeString()}] Hexpert:</strong><br><span class="ai-response-text"></span>`;
+
+        if (responseId) {
+            entry.appendChild(this.createSpeechControls(responseId, entry));
+        }
         
         transcriptBox.appendChild(entry);
-        transcriptBox.scrollTop = transcriptBox.scrollHeight;
+        return entry;
     }
 
     /**
-     * Clear transcript display
+     * Stop and replay buttons for one answer; stop only shows while it is playing
      */
-    clearTranscript() {
-        this.elements.transcriptOutput.innerHTML = '<p class="placeholder">Transcribed speech will appear here...</p>';
+    createSpeechControls(responseId, entry) {
+        const controls = document.createElement('span');
+        controls.className = 'speech-controls';
+
+        const stop = document.createElement('button');
+        stop.type = 'button';
+        stop.className = 'btn-speech speech-stop';
+        stop.textContent = '⏹ Stop';
+        stop.addEventListener('click', () => this.speechPlayer.stopResponse(responseId));
+        controls.appendChild(stop);
+
+        const replay = document.createElement('button');
+        replay.type = 'button';
+        replay.className = 'btn-speech speech-replay';
+        replay.textContent = '🔁 Replay';
+        replay.addEventListener('click', () => this.replayResponse(responseId, entry));
+        controls.appendChild(replay);
+
+        return controls;
     }
 
     /**
-     * Play TTS audio response
+     * Speak an answer again. Answers spoken on another device, or not spoken at
+     * all, are synthesized here first.
      */
-    async playTTSAudio(base64Audio, timestamp) {
+    async replayResponse(responseId, entry) {
+        if (this.speechPlayer.replay(responseId)) {
+            return;
+        }
+
+        const text = entry.querySelector('.ai-response-text').textContent.trim();
+        if (!text) {
+            return;
+        }
+
         try {
-            // Convert base64 to blob
-            const audioData = atob(base64Audio);
-            const audioArray = new Uint8Array(audioData.length);
-            for (let i = 0; i < audioData.length; i++) {
-                audioArray[i] = audioData.charCodeAt(i);
-            }
-            
-            const audioBlob = new Blob([audioArray], { type: 'audio/mpeg' });
-            const audioUrl = URL.createObjectURL(audioBlob);
-            
-            // Create and play audio element
-            const audio = new Audio(audioUrl);
-            
-            // Add visual indicator
-            this.showAudioPlayingIndicator();
-            
-            // Play the audio
-            await audio.play();
-            
-            // Clean up when audio finishes
-            audio.addEventListener('ended', () => {
-                URL.revokeObjectURL(audioUrl);
-                this.hideAudioPlayingIndicator();
-                console.log('TTS audio playback completed');
+            const response = await fetch('/api/speak', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text, language: entry.dataset.language })
             });
-            
-            // Handle playback errors
-            audio.addEventListener('error', (e) => {
-                console.error('Audio playback error:', e);
-                URL.revokeObjectURL(audioUrl);
-                this.hideAudioPlayingIndicator();
-                this.displayError('Audio playback failed');
-            });
-            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.speechPlayer.enqueueBlob(await response.blob(), responseId);
+
         } catch (error) {
-            console.error('TTS playback error:', error);
-            this.displayError('Failed to play audio response');
+            console.error('Failed to replay answer:', error);
+            this.displayError('Could not replay that answer');
+        }
+    }
+
+    /**
+     * Mark the answer being spoken, or none, in the transcript
+     */
+    markSpeakingResponse(responseId) {
+        this.hideAudioPlayingIndicator();
+        this.elements.transcriptOutput.querySelectorAll('.ai-response.speaking')
+            .forEach(entry => entry.classList.remove('speaking'));
+
+        if (responseId) {
+            const entry = this.elements.transcriptOutput.querySelector(`.ai-response[data-response-id="${responseId}"]`);
+            if (entry) {
+                entry.classList.add('speaking');
+            }
+            this.showAudioPlayingIndicator(responseId);
+        }
+    }
+
+    /**
+     * Append a streamed piece of an AI response as it arrives
+     */
+    appendAIResponseChunk(responseId, delta, timestamp) {
+        const entry = this.getResponseEntry(responseId, timestamp);
+        entry.querySelector('.ai-response-text').textContent += delta;
+
+        const transcriptBox = this.elements.transcriptOutput;
+        transcriptBox.scrollTop = transcriptBox.scrollHeight;
+    }
+
+    /**
+     * Display AI response in the output area, replacing any streamed text
+     */
+    displayAIResponse(response, timestamp, responseId, sources = {}) {
+        const entry = this.getResponseEntry(responseId, timestamp);
+        entry.querySelector('.ai-response-text').textContent = response;
+
+        // Replaying the answer later speaks it in the same language
+        if (sources.language) {
+            entry.dataset.language = sources.language;
+        }
+
+        if (sources.citations) {
+            this.renderCitations(entry, sources.citations, sources.grounded);
+        }
+
+        // Answers from the local rules search while the AI is unreachable
+        entry.querySelectorAll('.offline-answer').forEach(existing => existing.remove());
+        if (sources.offline) {
+            const tag = document.createElement('div');
+            tag.className = 'offline-answer';
+            tag.textContent = '📴 Offline answer - quoted from the rules while the AI is unreachable';
+            entry.insertBefore(tag, entry.querySelector('.ai-response-text'));
         }
+
+        const transcriptBox = this.elements.transcriptOutput;
+        transcriptBox.scrollTop = transcriptBox.scrollHeight;
+    }
+
+    /**
+     * Render the rule sources behind an answer as expandable references
+     */
+    renderCitations(entry, citations, grounded) {
+        entry.querySelectorAll('.citations, .ungrounded-warning, .house-rule-applied')
+            .forEach(existing => existing.remove());
+
+        if (!grounded || citations.length === 0) {
+            const warning = document.createElement('div');
+            warning.className = 'ungrounded-warning';
+            warning.textContent = '⚠️ Not backed by a rule source - double-check this ruling';
+            entry.appendChild(warning);
+            return;
+        }
+
+        // Flag answers where the table's own rules changed the ruling
+        if (citations.some(citation => citation.id && citation.id.startsWith('house-rule#'))) {
+            const note = document.createElement('div');
+            note.className = 'house-rule-applied';
+            note.textContent = '🏠 A house rule changed this ruling';
+            entry.appendChild(note);
+        }
+
+        const details = document.createElement('details');
+        details.className = 'citations';
+
+        const summary = document.createElement('summary');
+        summary.textContent = `Sources (${citations.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ol');
+        citations.forEach(citation => {
+            const item = document.createElement('li');
+
+            const title = document.createElement('strong');
+            title.textContent = citation.heading || citation.source;
+            item.appendChild(title);
+
+            const source = document.createElement('span');
+            source.className = 'citation-source';
+            source.textContent = ` (${citation.source}${citation.matchedBy === 'overlap' ? ', inferred' : ''})`;
+            item.appendChild(source);
+
+            const excerpt = document.createElement('blockquote');
+            excerpt.textContent = citation.text;
+            item.appendChild(excerpt);
+
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        entry.appendChild(details);
+    }
+
+    /**
+     * Clear transcript display
+     */
+    clearTranscript() {
+        this.elements.transcriptOutput.innerHTML = '<p class="placeholder">Transcribed speech will appear here...</p>';
     }
 
     /**
      * Show audio playing indicator
      */
-    showAudioPlayingIndicator() {
-        // Add playing indicator to the latest AI response
-        const responses = this.elements.transcriptOutput.querySelectorAll('.ai-response');
-        if (responses.length > 0) {
-            const latestResponse = responses[responses.length - 1];
+    showAudioPlayingIndicator(responseId) {
+        // Add playing indicator to the response being spoken, or the latest one
+        const transcriptBox = this.elements.transcriptOutput;
+        const responses = transcriptBox.querySelectorAll('.ai-response');
+        const targetResponse = (responseId && transcriptBox.querySelector(`.ai-response[data-response-id="${responseId}"]`)) ||
+            responses[responses.length - 1];
+        if (targetResponse && !targetResponse.querySelector('.audio-playing-indicator')) {
             const indicator = document.createElement('span');
             indicator.className = 'audio-playing-indicator';
             indicator.innerHTML = ' 🔊';
             indicator.style.color = '#4CAF50';
-            latestResponse.appendChild(indicator);
+            targetResponse.appendChild(indicator);
         }
     }
 
@@ -273,6 +1113,18 @@ class HexpertApp {
         indicators.forEach(indicator => indicator.remove());
     }
 
+    /**
+     * Display an informational notice in the transcript
+     */
+    displayNotice(message) {
+        const transcriptBox = this.elements.transcriptOutput;
+        const noticeEntry = document.createElement('div');
+        noticeEntry.className = 'transcript-notice';
+        noticeEntry.textContent = message;
+        transcriptBox.appendChild(noticeEntry);
+        transcriptBox.scrollTop = transcriptBox.scrollHeight;
+    }
+
     /**
      * Display error messages
      */
@@ -280,7 +1132,10 @@ class HexpertApp {
         const transcriptBox = this.elements.transcriptOutput;
         const errorEntry = document.createElement('div');
         errorEntry.style.color = '#f44336';
-        errorEntry.innerHTML = `<strong>Error:</strong> ${message}`;
+        const label = document.createElement('strong');
+        label.textContent = 'Error:';
+        errorEntry.appendChild(label);
+        errorEntry.appendChild(document.createTextNode(` ${message}`));
         transcriptBox.appendChild(errorEntry);
         transcriptBox.scrollTop = transcriptBox.scrollHeight;
     }
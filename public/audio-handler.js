@@ -1,15 +1,53 @@
 /**
  * Audio Handler for Hexpert
- * Manages microphone access, audio streaming, and wake word detection
+ * Manages microphone access, voice activity detection, push-to-talk, utterance streaming, and wake word detection
  */
 
+// Default voice activity detection settings, overridden by /api/config
+const VAD_DEFAULTS = {
+    speechThreshold: 0.02,      // RMS level (0-1) that counts as speech
+    bargeInThreshold: 0.06,     // Louder level needed to talk over Hexpert while it speaks
+    minSpeechMs: 250,           // Speech must last this long before an utterance starts
+    silenceDurationMs: 900,     // Silence this long ends the utterance
+    maxUtteranceMs: 15000,      // Utterances are cut off after this long
+    preRollResetMs: 5000,       // Idle recordings are restarted this often to keep the pre-roll short
+    checkIntervalMs: 50         // How often the input level is sampled
+};
+
 class AudioHandler {
-    constructor() {
+    constructor(vadConfig = {}) {
         this.mediaRecorder = null;
         this.audioStream = null;
         this.isListening = false;
         this.socket = null;
         this.audioChunks = [];
+
+        // Voice activity detection state
+        this.vadConfig = { ...VAD_DEFAULTS, ...vadConfig };
+        this.audioContext = null;
+        this.analyser = null;
+        this.vadTimer = null;
+        this.inUtterance = false;
+        this.speechCandidateSince = null;
+        this.lastSpeechAt = 0;
+        this.utteranceStartedAt = 0;
+        this.recorderStartedAt = 0;
+
+        // How utterances are picked out: by voice activity in continuous and
+        // wake-word mode, by holding the talk button in push-to-talk mode
+        this.captureMode = 'wake-word';
+        this.talkButtonHeld = false;
+
+        // Microphone chosen in the UI, or null for the browser's default
+        this.microphoneId = null;
+
+        // Called with each input level sample, for the level meter
+        this.onLevel = () => {};
+
+        // While Hexpert speaks, its own voice is not streamed; speech loud enough
+        // to be someone talking over it interrupts playback (barge-in)
+        this.assistantSpeaking = false;
+        this.onBargeIn = () => {};
     }
 
     /**
@@ -18,42 +56,102 @@ class AudioHandler {
      */
     initialize(socket) {
         this.socket = socket;
+        // The server starts every connection in its default mode
+        this.socket.emit('select-capture-mode', { mode: this.captureMode });
         console.log('AudioHandler initialized');
     }
 
+    /**
+     * Choose how utterances are picked out and tell the server, which only
+     * requires the wake phrase in wake-word mode
+     * @param {string} mode - continuous, wake-word or push-to-talk
+     */
+    setCaptureMode(mode) {
+        if (mode === this.captureMode) {
+            return;
+        }
+
+        // An utterance started by voice doesn't wait for a button release
+        if (mode === 'push-to-talk' && this.inUtterance && !this.talkButtonHeld) {
+            this.endUtterance();
+        }
+        this.captureMode = mode;
+        this.talkButtonHeld = false;
+
+        if (this.socket) {
+            this.socket.emit('select-capture-mode', { mode });
+        }
+    }
+
+    /**
+     * Microphones the browser offers. Their names are only filled in once
+     * microphone access has been granted.
+     * @returns {Promise<Array<Object>>} - { deviceId, label }
+     */
+    async listMicrophones() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            // Before access is granted some browsers list one anonymous device
+            .filter(device => device.kind === 'audioinput' && device.deviceId)
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${i + 1}` }));
+    }
+
+    /**
+     * Use another microphone, restarting the capture if it's running
+     * @param {string} deviceId - Device id from listMicrophones(), or null for the default
+     */
+    async setMicrophone(deviceId) {
+        this.microphoneId = deviceId || null;
+        if (this.isListening) {
+            this.stopListening();
+            await this.startListening();
+        }
+    }
+
+    /**
+     * Update voice activity detection settings
+     * @param {Object} vadConfig - Settings to override
+     */
+    configure(vadConfig = {}) {
+        this.vadConfig = { ...this.vadConfig, ...vadConfig };
+    }
+
+    /**
+     * Tell the handler whether Hexpert is speaking. Audio recorded meanwhile is
+     * dropped, so Hexpert never transcribes its own answer.
+     * @param {boolean} speaking - Whether an answer is playing
+     */
+    setAssistantSpeaking(speaking) {
+        this.assistantSpeaking = speaking;
+
+        // Start the next pre-roll after the answer, without its tail
+        if (!speaking && this.isListening && !this.inUtterance) {
+            this.speechCandidateSince = null;
+            this.restartRecorder();
+        }
+    }
+
     /**
      * Request microphone permission and start listening
      */
     async startListening() {
         try {
             // Request microphone access
-            this.audioStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    sampleRate: 44100
-                }
-            });
-
-            // Create MediaRecorder for audio streaming
-            this.mediaRecorder = new MediaRecorder(this.audioStream, {
-                mimeType: 'audio/webm;codecs=opus'
-            });
-
-            // Handle audio data chunks
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.audioChunks.push(event.data);
-                    
-                    // Send audio data to server via Socket.IO
-                    if (this.socket) {
-                        this.socket.emit('audio-stream', event.data);
-                    }
-                }
-            };
+            this.audioStream = await this.openMicrophone();
+
+            // Analyse the input level for voice activity detection
+            this.audioContext = new AudioContext();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.audioContext.createMediaStreamSource(this.audioStream).connect(this.analyser);
 
-            // Start recording in chunks for real-time processing
-            this.mediaRecorder.start(100); // 100ms chunks
+            // Keep a recording running so the start of each utterance is captured
+            this.startRecorder();
+            this.vadTimer = setInterval(() => this.checkVoiceActivity(), this.vadConfig.checkIntervalMs);
             this.isListening = true;
 
             console.log('Audio listening started');
@@ -61,25 +159,314 @@ class AudioHandler {
 
         } catch (error) {
             console.error('Error starting audio:', error);
+            this.stopListening();
             throw new Error('Failed to access microphone. Please check permissions.');
         }
     }
 
+    /**
+     * Open the chosen microphone, falling back to the default one when it has
+     * been unplugged since it was chosen
+     * @returns {Promise<MediaStream>}
+     */
+    async openMicrophone() {
+        const audio = {
+            echoCancellation: true,
+            noiseSuppression: true,
+            sampleRate: 44100
+        };
+
+        if (this.microphoneId) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    audio: { ...audio, deviceId: { exact: this.microphoneId } }
+                });
+            } catch (error) {
+                if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+                    throw error;
+                }
+                console.warn('Chosen microphone not found, using the default one');
+                this.microphoneId = null;
+            }
+        }
+
+        return navigator.mediaDevices.getUserMedia({ audio });
+    }
+
+    /**
+     * Start a fresh MediaRecorder. Every recording begins with its own WebM header,
+     * so each utterance reaches the server as a complete, well-formed file.
+     */
+    startRecorder() {
+        const recorder = new MediaRecorder(this.audioStream, {
+            mimeType: 'audio/webm;codecs=opus'
+        });
+
+        this.mediaRecorder = recorder;
+        this.audioChunks = [];
+        this.recorderStartedAt = Date.now();
+
+        // Handle audio data chunks
+        recorder.ondataavailable = (event) => {
+            if (event.data.size === 0 || recorder !== this.mediaRecorder) {
+                return;
+            }
+
+            if (this.inUtterance) {
+                // Send audio data to server via Socket.IO while speech is in progress
+                this.sendChunk(event.data);
+            } else {
+                // Hold audio as pre-roll until speech is detected
+                this.audioChunks.push(event.data);
+            }
+        };
+
+        // Start recording in chunks for real-time processing
+        recorder.start(100); // 100ms chunks
+    }
+
+    /**
+     * Stop the current recording and start a new one once it has stopped, so
+     * nothing from the new recording reaches the server before the old one's
+     * last chunk and end marker. Restarts while one is pending do nothing; the
+     * pending one already gives a fresh recording.
+     * @param {Object} options - Restart options
+     * @param {boolean} options.sendFinalChunk - Forward the old recording's last chunk to the server
+     * @param {Function} options.onStopped - Called after the old recording has flushed its last chunk, before the new one starts
+     */
+    restartRecorder({ sendFinalChunk = false, onStopped = null } = {}) {
+        const recorder = this.mediaRecorder;
+        if (!recorder) {
+            return;
+        }
+        this.mediaRecorder = null;
+
+        const startNext = () => {
+            if (onStopped) {
+                onStopped();
+            }
+            // Listening may have stopped, or started over with a recorder of its own, in the meantime
+            if (this.isListening && !this.mediaRecorder) {
+                this.startRecorder();
+            }
+        };
+
+        // The last chunk of the old recording arrives after stop() and still belongs to it
+        recorder.ondataavailable = (event) => {
+            if (sendFinalChunk && event.data.size > 0) {
+                this.sendChunk(event.data);
+            }
+        };
+        recorder.onstop = startNext;
+
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        } else {
+            startNext();
+        }
+    }
+
+    /**
+     * Sample the input level and track utterance start and end
+     */
+    checkVoiceActivity() {
+        const { speechThreshold, bargeInThreshold, minSpeechMs, silenceDurationMs, maxUtteranceMs, preRollResetMs } = this.vadConfig;
+        const now = Date.now();
+        const level = this.getInputLevel();
+        const bargingIn = this.assistantSpeaking && !this.inUtterance;
+        // In push-to-talk mode the talk button, not the voice, starts and ends utterances
+        const byVoice = this.captureMode !== 'push-to-talk';
+        this.onLevel(level);
+
+        if (byVoice && level >= (bargingIn ? bargeInThreshold : speechThreshold)) {
+            this.lastSpeechAt = now;
+            if (this.speechCandidateSince === null) {
+                this.speechCandidateSince = now;
+            }
+            if (!this.inUtterance && now - this.speechCandidateSince >= minSpeechMs) {
+                if (bargingIn) {
+                    this.bargeIn();
+                } else {
+                    this.beginUtterance();
+                }
+            }
+        } else {
+            this.speechCandidateSince = null;
+        }
+
+        if (this.inUtterance) {
+            const silent = byVoice && now - this.lastSpeechAt >= silenceDurationMs;
+            if (silent || now - this.utteranceStartedAt >= maxUtteranceMs) {
+                this.endUtterance();
+            }
+        } else if (this.speechCandidateSince === null && now - this.recorderStartedAt >= preRollResetMs) {
+            // Nobody is talking: drop the held audio and start a new recording
+            this.restartRecorder();
+        }
+    }
+
+    /**
+     * Current input level as RMS amplitude between 0 and 1
+     */
+    getInputLevel() {
+        if (!this.analyser) {
+            return 0;
+        }
+
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(samples);
+
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+        }
+        return Math.sqrt(sumSquares / samples.length);
+    }
+
+    /**
+     * Speech detected: send the pre-roll and stream the rest of the utterance
+     */
+    beginUtterance() {
+        this.inUtterance = true;
+        this.utteranceStartedAt = Date.now();
+
+        this.audioChunks.forEach(chunk => this.sendChunk(chunk));
+        this.audioChunks = [];
+
+        console.log('Speech started');
+    }
+
+    /**
+     * Someone talked over Hexpert: stop the answer and capture what they say. The
+     * held pre-roll is mostly Hexpert's own voice, so it goes with the old recording.
+     */
+    bargeIn() {
+        this.assistantSpeaking = false;
+        this.restartRecorder();
+        this.inUtterance = true;
+        this.utteranceStartedAt = Date.now();
+        this.onBargeIn();
+
+        console.log('Speech started over Hexpert');
+    }
+
+    /**
+     * Talk button pressed: stop any answer and record from this moment on,
+     * without the pre-roll, so exactly what is said while it's held is sent
+     */
+    pressTalkButton() {
+        if (!this.isListening || this.captureMode !== 'push-to-talk' || this.talkButtonHeld) {
+            return;
+        }
+
+        const interrupting = this.assistantSpeaking;
+        this.talkButtonHeld = true;
+        this.assistantSpeaking = false;
+        this.restartRecorder();
+        this.inUtterance = true;
+        this.utteranceStartedAt = Date.now();
+        if (interrupting) {
+            this.onBargeIn();
+        }
+
+        console.log('Talk button pressed');
+    }
+
+    /**
+     * Talk button released: send the utterance, or drop it if the button was
+     * only tapped. Utterances cut off at their maximum length have already been sent.
+     */
+    releaseTalkButton() {
+        if (!this.talkButtonHeld) {
+            return;
+        }
+
+        this.talkButtonHeld = false;
+        if (!this.inUtterance) {
+            return;
+        }
+
+        if (Date.now() - this.utteranceStartedAt < this.vadConfig.minSpeechMs) {
+            this.inUtterance = false;
+            this.restartRecorder();
+            if (this.socket) {
+                this.socket.emit('audio-utterance-cancel');
+            }
+            console.log('Talk button tapped, nothing sent');
+            return;
+        }
+
+        this.endUtterance();
+    }
+
+    /**
+     * Silence detected or talk button released: finish this recording and tell
+     * the server the utterance is complete
+     */
+    endUtterance() {
+        this.inUtterance = false;
+        this.speechCandidateSince = null;
+
+        this.restartRecorder({
+            sendFinalChunk: true,
+            onStopped: () => {
+                if (this.socket) {
+                    this.socket.emit('audio-utterance-end');
+                }
+            }
+        });
+
+        console.log('Speech ended');
+    }
+
+    /**
+     * Send one audio chunk of the current utterance to the server
+     */
+    sendChunk(chunk) {
+        if (this.socket) {
+            this.socket.emit('audio-stream', chunk);
+        }
+    }
+
     /**
      * Stop listening and clean up audio resources
      */
     stopListening() {
+        const wasInUtterance = this.inUtterance;
+        this.isListening = false;
+        this.inUtterance = false;
+        this.talkButtonHeld = false;
+        this.speechCandidateSince = null;
+
+        if (this.vadTimer) {
+            clearInterval(this.vadTimer);
+            this.vadTimer = null;
+        }
+
         if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
             this.mediaRecorder.stop();
         }
+        this.mediaRecorder = null;
+
+        // Anything already streamed for an unfinished utterance is discarded
+        if (wasInUtterance && this.socket) {
+            this.socket.emit('audio-utterance-cancel');
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+            this.analyser = null;
+        }
 
         if (this.audioStream) {
             this.audioStream.getTracks().forEach(track => track.stop());
+            this.audioStream = null;
         }
 
-        this.isListening = false;
         this.audioChunks = [];
-        
+        this.onLevel(0);
+
         console.log('Audio listening stopped');
     }
 
@@ -91,14 +478,12 @@ class AudioHandler {
     }
 
     /**
-     * Simulate wake word detection (placeholder for future implementation)
-     * In production, this would use a wake word detection library
+     * Arm the assistant without saying the wake phrase (e.g. from the "Hey Hexpert" button)
+     * Spoken wake phrases are detected on the server from the transcript
      */
     detectWakeWord() {
-        // TODO: Implement actual wake word detection
-        // For now, this is triggered manually or by server response
         if (this.socket) {
             this.socket.emit('wake-word-detected');
         }
     }
-}
\ No newline at end of file
+}
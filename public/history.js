@@ -0,0 +1,174 @@
+/**
+ * Hexpert Session History
+ * Lists the sessions saved on the server and shows one session's transcript,
+ * with links to export it as Markdown or JSON
+ */
+
+class HistoryView {
+    constructor() {
+        this.elements = {
+            sessionList: document.getElementById('session-list'),
+            sessionTitle: document.getElementById('session-title'),
+            sessionExports: document.getElementById('session-exports'),
+            exportMarkdown: document.getElementById('export-markdown'),
+            exportJson: document.getElementById('export-json'),
+            sessionEvents: document.getElementById('session-events')
+        };
+
+        this.loadSessions();
+    }
+
+    /**
+     * Fetch JSON from the API, throwing its error message on failure
+     */
+    async fetchJson(url) {
+        const response = await fetch(url);
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+        return body;
+    }
+
+    /**
+     * List saved sessions, newest first; a session id in the URL hash is opened
+     */
+    async loadSessions() {
+        const list = this.elements.sessionList;
+        try {
+            const { sessions } = await this.fetchJson('/api/history');
+            list.innerHTML = '';
+
+            if (sessions.length === 0) {
+                const item = document.createElement('li');
+                item.className = 'placeholder';
+                item.textContent = 'No saved sessions yet';
+                list.appendChild(item);
+                return;
+            }
+
+            sessions.forEach(session => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${session.id}`;
+                link.dataset.sessionId = session.id;
+                link.textContent = `${new Date(session.startedAt).toLocaleString()} · table ${session.code}`;
+                link.addEventListener('click', () => this.loadSession(session.id));
+                item.appendChild(link);
+
+                const details = document.createElement('span');
+                details.className = 'session-details';
+                details.textContent = `${session.gameId} · ${session.questions} question${session.questions === 1 ? '' : 's'}`;
+                item.appendChild(details);
+
+                list.appendChild(item);
+            });
+
+            const requested = decodeURIComponent(window.location.hash.slice(1));
+            if (requested) {
+                this.loadSession(requested);
+            }
+
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            list.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'placeholder';
+            item.textContent = `Could not load sessions: ${error.message}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Show one session's transcript and point the export links at it
+     */
+    async loadSession(sessionId) {
+        this.elements.sessionList.querySelectorAll('a').forEach(link => {
+            link.classList.toggle('active', link.dataset.sessionId === sessionId);
+        });
+
+        const box = this.elements.sessionEvents;
+        try {
+            const session = await this.fetchJson(`/api/history/${encodeURIComponent(sessionId)}`);
+
+            this.elements.sessionTitle.textContent = `Table ${session.code}, ${new Date(session.startedAt).toLocaleString()}`;
+            const exportUrl = `/api/history/${encodeURIComponent(session.id)}/export`;
+            this.elements.exportMarkdown.href = `${exportUrl}?format=markdown`;
+            this.elements.exportJson.href = `${exportUrl}?format=json`;
+            this.elements.sessionExports.hidden = false;
+
+            box.innerHTML = '';
+            session.events.forEach(event => this.renderEvent(event));
+            if (session.events.length === 0) {
+                box.innerHTML = '<p class="placeholder">Nothing was recorded in this session</p>';
+            }
+
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            this.elements.sessionExports.hidden = true;
+            box.textContent = `Could not load the session: ${error.message}`;
+        }
+    }
+
+    /**
+     * Add one saved event to the transcript, in the same style as the live view
+     */
+    renderEvent(event) {
+        const box = this.elements.sessionEvents;
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        const entry = document.createElement('div');
+
+        if (event.type === 'transcription') {
+            entry.className = event.ignored ? 'transcript-text transcript-ignored' : 'transcript-text';
+            entry.textContent = `[${time}] ${event.typed ? 'Typed' : 'Heard'}: ${event.text}`;
+        } else if (event.type === 'answer') {
+            entry.className = 'ai-response';
+            const label = document.createElement('strong');
+            label.textContent = `[${time}] Hexpert:`;
+            entry.appendChild(label);
+            entry.appendChild(document.createElement('br'));
+            entry.appendChild(document.createTextNode(event.answer));
+
+            if (event.offline) {
+                const tag = document.createElement('div');
+                tag.className = 'offline-answer';
+                tag.textContent = '📴 Offline answer';
+                entry.appendChild(tag);
+            }
+
+            if (event.citations && event.citations.length > 0) {
+                const sources = document.createElement('div');
+                sources.className = 'citation-source';
+                sources.textContent = `Sources: ${event.citations.map(citation => citation.heading || citation.source).join('; ')}`;
+                entry.appendChild(sources);
+            } else if (!event.grounded) {
+                const warning = document.createElement('div');
+                warning.className = 'ungrounded-warning';
+                warning.textContent = '⚠️ Not backed by a rule source';
+                entry.appendChild(warning);
+            }
+
+            if (event.houseRules && event.houseRules.length > 0) {
+                const rules = document.createElement('div');
+                rules.className = 'house-rule-applied';
+                rules.textContent = `🏠 House rules in play: ${event.houseRules.join('; ')}`;
+                entry.appendChild(rules);
+            }
+        } else if (event.type === 'game-selected') {
+            entry.className = 'transcript-notice';
+            entry.textContent = `Switched to ${event.gameId}`;
+        } else if (event.type === 'conversation-reset') {
+            entry.className = 'transcript-notice';
+            entry.textContent = 'New conversation started';
+        } else {
+            return;
+        }
+
+        box.appendChild(entry);
+    }
+}
+
+// Initialize the history view when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    new HistoryView();
+});
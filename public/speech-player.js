@@ -0,0 +1,193 @@
+/**
+ * Speech Player for Hexpert
+ * Plays spoken answers one clip at a time, in the order they arrive, through a
+ * single audio element, and keeps recent answers' clips so they can be replayed
+ */
+
+// Answers whose clips are kept for replaying
+const REPLAY_LIMIT = 20;
+
+class SpeechPlayer {
+    /**
+     * @param {Object} callbacks - Playback notifications
+     * @param {Function} callbacks.onSpeakingChange - (isSpeaking) when playback starts or stops
+     * @param {Function} callbacks.onResponseChange - (responseId or null) when a different answer starts playing
+     * @param {Function} callbacks.onError - (message) when a clip can't be played
+     */
+    constructor({ onSpeakingChange = () => {}, onResponseChange = () => {}, onError = () => {} } = {}) {
+        this.onSpeakingChange = onSpeakingChange;
+        this.onResponseChange = onResponseChange;
+        this.onError = onError;
+
+        this.audio = new Audio();
+        this.audio.addEventListener('ended', () => this.playNext());
+        this.audio.addEventListener('error', () => {
+            // Clearing the source after stop() also fires an error; only report real failures
+            if (this.current) {
+                console.error('Audio playback error:', this.audio.error);
+                this.onError('Audio playback failed');
+                this.playNext();
+            }
+        });
+
+        // Clips waiting to play, as { responseId, sequence, url }
+        this.queue = [];
+        this.current = null;
+        // Clips received for each recent answer, by responseId, for replaying
+        this.clips = new Map();
+        // Answers stopped by the user; their remaining clips are kept but not played
+        this.stopped = new Set();
+    }
+
+    /**
+     * Whether an answer is playing
+     */
+    get isSpeaking() {
+        return this.current !== null;
+    }
+
+    /**
+     * Add a clip of an answer, playing it after everything queued before it
+     * @param {string} base64Audio - MP3 audio
+     * @param {string} responseId - Answer the clip belongs to
+     * @param {number} sequence - Position of the clip within the answer
+     */
+    enqueue(base64Audio, responseId, sequence = 0) {
+        this.addClip({ responseId, sequence, url: this.toObjectUrl(base64Audio) });
+    }
+
+    /**
+     * Add a clip fetched as a Blob, e.g. speech for an answer that arrived without it
+     * @param {Blob} blob - MP3 audio
+     * @param {string} responseId - Answer the clip belongs to
+     * @param {number} sequence - Position of the clip within the answer
+     */
+    enqueueBlob(blob, responseId, sequence = 0) {
+        this.addClip({ responseId, sequence, url: URL.createObjectURL(blob) });
+    }
+
+    /**
+     * Keep a clip for replaying and queue it unless its answer was stopped
+     */
+    addClip(clip) {
+        const { responseId } = clip;
+
+        if (!this.clips.has(responseId)) {
+            this.clips.set(responseId, []);
+            this.forgetOldClips();
+        }
+        this.clips.get(responseId).push(clip);
+
+        if (!this.stopped.has(responseId)) {
+            this.queue.push(clip);
+            if (!this.current) {
+                this.playNext();
+            }
+        }
+    }
+
+    /**
+     * Play an answer again from its first clip, after whatever is playing now
+     * @param {string} responseId - Answer to replay
+     * @returns {boolean} - False if its clips aren't kept
+     */
+    replay(responseId) {
+        const clips = this.clips.get(responseId);
+        if (!clips || clips.length === 0) {
+            return false;
+        }
+
+        this.stopped.delete(responseId);
+        this.queue = this.queue.filter(clip => clip.responseId !== responseId);
+        this.queue.push(...[...clips].sort((a, b) => a.sequence - b.sequence));
+        if (!this.current) {
+            this.playNext();
+        }
+        return true;
+    }
+
+    /**
+     * Stop one answer, skipping the rest of it and any of its clips still to arrive
+     * @param {string} responseId - Answer to stop
+     */
+    stopResponse(responseId) {
+        this.stopped.add(responseId);
+        this.queue = this.queue.filter(clip => clip.responseId !== responseId);
+        if (this.current && this.current.responseId === responseId) {
+            this.playNext();
+        }
+    }
+
+    /**
+     * Stop everything at once, e.g. when someone starts talking over Hexpert
+     */
+    stopAll() {
+        [this.current, ...this.queue].filter(Boolean).forEach(clip => this.stopped.add(clip.responseId));
+        this.queue = [];
+        this.playNext();
+    }
+
+    /**
+     * Start the next queued clip, or go quiet when there is none
+     */
+    playNext() {
+        const previous = this.current;
+        this.current = this.queue.shift() || null;
+
+        if (!this.current) {
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            if (previous) {
+                this.onResponseChange(null);
+                this.onSpeakingChange(false);
+            }
+            return;
+        }
+
+        if (!previous) {
+            this.onSpeakingChange(true);
+        }
+        if (!previous || previous.responseId !== this.current.responseId) {
+            this.onResponseChange(this.current.responseId);
+        }
+
+        this.audio.src = this.current.url;
+        this.audio.play().catch((error) => {
+            // Stopping a clip interrupts its play() call; that isn't a failure
+            if (error.name === 'AbortError') {
+                return;
+            }
+            console.error('TTS playback error:', error);
+            this.onError('Failed to play audio response');
+            this.playNext();
+        });
+    }
+
+    /**
+     * Turn base64 MP3 audio into an object URL the audio element can play
+     */
+    toObjectUrl(base64Audio) {
+        const audioData = atob(base64Audio);
+        const audioArray = new Uint8Array(audioData.length);
+        for (let i = 0; i < audioData.length; i++) {
+            audioArray[i] = audioData.charCodeAt(i);
+        }
+        return URL.createObjectURL(new Blob([audioArray], { type: 'audio/mpeg' }));
+    }
+
+    /**
+     * Release the clips of the oldest answers beyond the replay limit
+     */
+    forgetOldClips() {
+        while (this.clips.size > REPLAY_LIMIT) {
+            const [responseId, clips] = this.clips.entries().next().value;
+            const playing = [this.current, ...this.queue].some(clip => clip && clip.responseId === responseId);
+            if (playing) {
+                break;
+            }
+            clips.forEach(clip => URL.revokeObjectURL(clip.url));
+            this.clips.delete(responseId);
+            this.stopped.delete(responseId);
+        }
+    }
+}
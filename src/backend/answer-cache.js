@@ -0,0 +1,139 @@
+/**
+ * Answer Cache
+ * Remembers answers to questions that come up every game ("what happens on a
+ * tie?") so they are served without another chat completion. Keys come from
+ * the game expert (see GameExpert.answerCacheKey()) and cover the normalized
+ * question, the sets in play, the house rules and the knowledge base version.
+ * The cache is saved to disk so it survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LruCache = require('./lru-cache');
+const { logger } = require('./logger');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '../../data/cache');
+
+// Most answers kept
+const MAX_ANSWERS = parseInt(process.env.ANSWER_CACHE_SIZE, 10) || 500;
+
+// Changes are written to disk in one go after this quiet period
+const SAVE_DELAY_MS = 2000;
+
+class AnswerCache {
+  /**
+   * @param {Object} options - Cache settings
+   * @param {string} options.directory - Folder the cache file is saved in; null to keep it in memory only
+   * @param {number} options.maxEntries - Most answers kept
+   */
+  constructor({ directory = CACHE_DIR, maxEntries = MAX_ANSWERS } = {}) {
+    this.filePath = directory ? path.join(directory, 'answers.json') : null;
+    this.cache = new LruCache({ maxEntries, sizeOf: entry => Buffer.byteLength(entry.answer) });
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Load the answers saved by an earlier run
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      entries.forEach(([key, entry]) => this.cache.set(key, entry));
+    } catch (error) {
+      logger.warn('Ignoring unreadable answer cache', { path: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Look up a cached answer
+   * @param {string} key - Key from GameExpert.answerCacheKey()
+   * @returns {Object|null} - { gameId, knowledgeVersion, answer, citations, grounded, storedAt }
+   */
+  get(key) {
+    return this.cache.get(key) || null;
+  }
+
+  /**
+   * Cache an answer
+   * @param {string} key - Key from GameExpert.answerCacheKey()
+   * @param {Object} entry - { gameId, knowledgeVersion, answer, citations, grounded }
+   */
+  set(key, entry) {
+    this.cache.set(key, { ...entry, storedAt: new Date().toISOString() });
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop a game's answers that came from a different version of its knowledge base
+   * @param {string} gameId - Game id
+   * @param {string} knowledgeVersion - The game's current knowledge version
+   * @returns {number} - Answers dropped
+   */
+  invalidate(gameId, knowledgeVersion) {
+    const stale = [...this.cache]
+      .filter(([, entry]) => entry.gameId === gameId && entry.knowledgeVersion !== knowledgeVersion)
+      .map(([key]) => key);
+
+    stale.forEach(key => this.cache.delete(key));
+    if (stale.length > 0) {
+      this.scheduleSave();
+    }
+    return stale.length;
+  }
+
+  /**
+   * Drop every cached answer
+   * @returns {Promise} - Resolves once the emptied cache is saved
+   */
+  async clear() {
+    this.cache.clear();
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.filePath) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Save the cache shortly, batching changes made close together
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk, replacing the file in one step so a crash can't leave half of it
+   * @returns {Promise} - Resolves once written; errors are logged, not thrown
+   */
+  async save() {
+    const temporaryPath = `${this.filePath}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(temporaryPath, JSON.stringify([...this.cache]));
+      await fs.promises.rename(temporaryPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save the answer cache', { error: error.message });
+    }
+  }
+
+  /**
+   * Hit and miss counters for metrics
+   */
+  stats() {
+    return this.cache.stats();
+  }
+}
+
+module.exports = AnswerCache;
@@ -0,0 +1,250 @@
+/**
+ * REST API
+ * JSON endpoints for asking questions, transcribing audio and synthesizing speech
+ * without the voice socket, for bots and scripts, for browsing saved sessions,
+ * and for checking and clearing the answer and speech caches
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { logger, withLogContext } = require('./logger');
+const { AUTO_LANGUAGE, validateLanguage, resolveLanguage } = require('./languages');
+
+// Largest audio upload accepted by POST /api/transcribe (the Whisper API limit)
+const MAX_AUDIO_BYTES = '25mb';
+
+// Longest text accepted by POST /api/speak (the OpenAI TTS limit)
+const MAX_SPEECH_CHARS = 4096;
+
+// File extension for each accepted upload type, so the provider knows the format
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/flac': 'flac'
+};
+
+/**
+ * Error with the HTTP status it should be reported as
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error handler, and so
+ * everything it logs carries the request's correlation id
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => withLogContext({ correlationId: req.id }, () => handler(req, res, next)).catch(next);
+}
+
+/**
+ * Read a required, non-empty string field from a JSON body
+ */
+function requireText(body, field) {
+  const value = body && body[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ApiError(400, `"${field}" is required and must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+/**
+ * Read an optional language setting, a code or "auto", or fail with 400
+ * @param {string} language - Setting from the request
+ * @param {string} defaultLanguage - Setting used when none is given
+ */
+function parseLanguage(language, defaultLanguage) {
+  try {
+    return validateLanguage(language === undefined ? defaultLanguage : language);
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+}
+
+/**
+ * Load a saved session or fail with 404
+ */
+async function requireSession(sessionHistory, sessionId) {
+  const session = await sessionHistory.getSession(sessionId);
+  if (!session) {
+    throw new ApiError(404, `No saved session ${sessionId}`);
+  }
+  return session;
+}
+
+/**
+ * Create the router for /api/ask, /api/transcribe, /api/speak, /api/history and /api/cache
+ * @param {Object} services - The server's shared question, transcription and speech functions
+ * @param {Function} services.answerQuestion - (question, { sessionId, gameId, sets, language }) => { answer, citations, grounded, cached, offline, gameId }
+ * @param {Function} services.transcribe - (audio, filename, language) => { text, language }
+ * @param {Function} services.synthesizeSpeech - (text, language) => MP3 Buffer
+ * @param {GameRegistry} services.gameRegistry - Registered games
+ * @param {SessionHistory} services.sessionHistory - Saved table sessions
+ * @param {AnswerCache} services.answerCache - Cached answers
+ * @param {SpeechCache} services.speechCache - Cached speech audio
+ * @returns {express.Router} - Router to mount under /api, followed by handleApiError
+ */
+function createApiRouter({ answerQuestion, transcribe, synthesizeSpeech, gameRegistry, sessionHistory, answerCache, speechCache }) {
+  const router = express.Router();
+
+  // Every request gets a correlation id, the caller's X-Request-Id if it sent one,
+  // echoed back and logged with the request's outcome
+  router.use((req, res, next) => {
+    const startedAt = Date.now();
+    req.id = req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    res.on('finish', () => {
+      logger.info('API request', {
+        correlationId: req.id, method: req.method, path: req.originalUrl, status: res.statusCode, durationMs: Date.now() - startedAt
+      });
+    });
+    next();
+  });
+
+  // Ask a question in text: { question, gameId?, sessionId?, sets?, language? }, with "text" accepted for "question"
+  router.post('/ask', asyncRoute(async (req, res) => {
+    const field = req.body && req.body.question === undefined && req.body.text !== undefined ? 'text' : 'question';
+    const question = requireText(req.body, field);
+    const gameId = req.body.gameId || gameRegistry.defaultGameId;
+    if (!gameRegistry.has(gameId)) {
+      throw new ApiError(404, `Unknown game: ${gameId}`);
+    }
+
+    // Editions and expansions in play; the game's defaults when not given
+    let sets = null;
+    if (req.body.sets !== undefined) {
+      try {
+        sets = gameRegistry.get(gameId).resolveSets(req.body.sets);
+      } catch (error) {
+        throw new ApiError(400, error.message);
+      }
+    }
+
+    // Answer in the language asked for, or by default in the one the question is written in
+    const language = resolveLanguage(parseLanguage(req.body.language, AUTO_LANGUAGE), { text: question });
+
+    // A caller-chosen session id keeps follow-up questions in context
+    const sessionId = req.body.sessionId ? `api:${req.body.sessionId}` : null;
+    const result = await answerQuestion(question, { sessionId, gameId, sets, language });
+
+    res.json({
+      question,
+      answer: result.answer,
+      citations: result.citations || [],
+      grounded: Boolean(result.grounded),
+      cached: Boolean(result.cached),
+      offline: Boolean(result.offline),
+      gameId: result.gameId,
+      sets: sets || gameRegistry.get(gameId).defaultSets(),
+      language
+    });
+  }));
+
+  // Transcribe an uploaded recording sent as the raw request body with an audio Content-Type;
+  // ?language= names the language spoken, which is detected when left out
+  router.post('/transcribe', express.raw({ type: () => true, limit: MAX_AUDIO_BYTES }), asyncRoute(async (req, res) => {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const extension = AUDIO_EXTENSIONS[contentType];
+    if (!extension) {
+      throw new ApiError(415, `Unsupported audio type "${contentType || 'none'}"; ` +
+        `send the file as the request body with one of: ${Object.keys(AUDIO_EXTENSIONS).join(', ')}`);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new ApiError(400, 'The request body is empty; send the audio file as the body');
+    }
+    const language = parseLanguage(req.query.language, AUTO_LANGUAGE);
+
+    let transcription;
+    try {
+      transcription = await transcribe(req.body, `audio.${extension}`, language);
+    } catch (error) {
+      logger.error('Transcription failed', { error });
+      throw new ApiError(502, 'Transcription failed');
+    }
+    res.json({ text: transcription.text, language: transcription.language || (language !== AUTO_LANGUAGE ? language : null) });
+  }));
+
+  // Synthesize speech: { text, language? } -> audio/mpeg
+  router.post('/speak', asyncRoute(async (req, res) => {
+    const text = requireText(req.body, 'text');
+    if (text.length > MAX_SPEECH_CHARS) {
+      throw new ApiError(400, `"text" must be at most ${MAX_SPEECH_CHARS} characters`);
+    }
+    const language = resolveLanguage(parseLanguage(req.body.language, AUTO_LANGUAGE), { text });
+
+    let audio;
+    try {
+      audio = await synthesizeSpeech(text, language);
+    } catch (error) {
+      logger.error('TTS generation failed', { error });
+      throw new ApiError(502, 'Speech synthesis failed');
+    }
+    res.type('audio/mpeg').send(audio);
+  }));
+
+  // Saved sessions, newest first
+  router.get('/history', asyncRoute(async (req, res) => {
+    res.json({ sessions: await sessionHistory.listSessions() });
+  }));
+
+  // One saved session with all its events
+  router.get('/history/:sessionId', asyncRoute(async (req, res) => {
+    res.json(await requireSession(sessionHistory, req.params.sessionId));
+  }));
+
+  // Download a saved session: ?format=markdown (default) or json
+  router.get('/history/:sessionId/export', asyncRoute(async (req, res) => {
+    const session = await requireSession(sessionHistory, req.params.sessionId);
+    const format = req.query.format || 'markdown';
+
+    if (format === 'json') {
+      res.attachment(`hexpert-${session.id}.json`).json(session);
+    } else if (format === 'markdown' || format === 'md') {
+      res.attachment(`hexpert-${session.id}.md`).type('text/markdown').send(sessionHistory.toMarkdown(session));
+    } else {
+      throw new ApiError(400, `Unknown export format "${format}"; use markdown or json`);
+    }
+  }));
+
+  // Hit and miss counts for the answer and speech caches
+  router.get('/cache', (req, res) => {
+    res.json({ answers: answerCache.stats(), speech: speechCache.stats() });
+  });
+
+  // Empty both caches, e.g. after editing a rulebook while the server runs
+  router.delete('/cache', asyncRoute(async (req, res) => {
+    await Promise.all([answerCache.clear(), speechCache.clear()]);
+    res.json({ answers: answerCache.stats(), speech: speechCache.stats() });
+  }));
+
+  return router;
+}
+
+/**
+ * Report API errors as JSON with their status code, including errors from the
+ * body parsers (malformed JSON, uploads over the size limit)
+ */
+function handleApiError(error, req, res, next) {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    logger.error('API error', { correlationId: req.id, error });
+  }
+
+  // Unexpected errors may carry internal details, so they get a generic message
+  const exposeMessage = error instanceof ApiError || status < 500;
+  res.status(status).json({ error: exposeMessage ? error.message : 'Internal server error' });
+}
+
+module.exports = { createApiRouter, handleApiError, ApiError };
@@ -0,0 +1,169 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing service for a while after repeated failures, so
+ * questions get an offline answer at once instead of each waiting on the
+ * service to time out. Once the cooldown has passed, one call is let through as
+ * a trial: success closes the circuit again, failure opens it for another cooldown.
+ * Calls still in flight from before the circuit last opened or closed don't count.
+ */
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// Consecutive failures that open the circuit
+const FAILURE_THRESHOLD = parseInt(process.env.CHAT_BREAKER_FAILURES, 10) || 3;
+
+// How long the circuit stays open before a trial call
+const COOLDOWN_MS = parseInt(process.env.CHAT_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Statuses meaning the request itself was rejected, which says nothing about the service's health
+const REQUEST_ERROR_STATUSES = [400, 404, 422];
+
+/**
+ * Error thrown instead of calling the service while the circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable; not calling it again until ${new Date(retryAt).toISOString()}`);
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker settings
+   * @param {string} options.name - Service name for errors and logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open before a trial call
+   * @param {Function} options.onStateChange - (state, previousState, breaker) when the circuit opens or closes
+   */
+  constructor({ name, failureThreshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS, onStateChange = () => {} }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.currentState = CLOSED;
+    // Bumped whenever the circuit opens or closes, to tell which calls are stale
+    this.generation = 0;
+  }
+
+  /**
+   * closed, open, or half-open once an open circuit's cooldown has passed
+   */
+  get state() {
+    if (this.currentState === OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      return HALF_OPEN;
+    }
+    return this.currentState;
+  }
+
+  /**
+   * Whether calls are being refused; false once the cooldown allows a trial
+   */
+  get isOpen() {
+    return this.state === OPEN || (this.state === HALF_OPEN && this.trialInFlight);
+  }
+
+  /**
+   * Make a call to the service through the breaker
+   * @param {Function} task - The call
+   * @returns {Promise} - The call's result; rejects with CircuitOpenError while the circuit is open
+   */
+  async call(task) {
+    if (this.isOpen) {
+      throw new CircuitOpenError(this.name, this.openedAt + this.cooldownMs);
+    }
+
+    const trial = this.state === HALF_OPEN;
+    if (trial) {
+      this.trialInFlight = true;
+    }
+    const generation = this.generation;
+
+    try {
+      const result = await task();
+      this.recordSuccess(generation);
+      return result;
+    } catch (error) {
+      if (!REQUEST_ERROR_STATUSES.includes(error.status)) {
+        this.recordFailure(generation);
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Route some of a service object's methods through the breaker
+   * @param {Object} service - e.g. the chat provider; wrapped in place
+   * @param {Array<string>} methods - Names of the methods to wrap
+   * @returns {Object} - The same service
+   */
+  wrap(service, methods) {
+    methods.forEach(method => {
+      const call = service[method].bind(service);
+      service[method] = (...args) => this.call(() => call(...args));
+    });
+    return service;
+  }
+
+  /**
+   * @param {number} generation - Generation the call started in; older calls are ignored
+   */
+  recordSuccess(generation = this.generation) {
+    if (generation !== this.generation) {
+      return;
+    }
+    this.failures = 0;
+    this.setState(CLOSED);
+  }
+
+  /**
+   * @param {number} generation - Generation the call started in; older calls are ignored
+   */
+  recordFailure(generation = this.generation) {
+    if (generation !== this.generation) {
+      return;
+    }
+    this.failures++;
+    // A failed trial reopens the circuit for another cooldown
+    const previousState = this.state;
+    if (previousState === HALF_OPEN || (previousState === CLOSED && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this.setState(OPEN, previousState);
+    }
+  }
+
+  /**
+   * Move to a state, reporting the change
+   * @param {string} previousState - State before the change, if it was already updated
+   */
+  setState(state, previousState = this.state) {
+    this.currentState = state;
+    if (previousState !== state) {
+      this.generation++;
+      this.onStateChange(state, previousState, this);
+    }
+  }
+
+  /**
+   * State for health checks
+   * @returns {Object} - { state, failures, retryAt }
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.currentState === OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
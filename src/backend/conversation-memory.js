@@ -0,0 +1,137 @@
+/**
+ * Conversation Memory
+ * Keeps a bounded multi-turn history per session so follow-up questions keep their context
+ */
+
+// Rough characters-per-token ratio for English text, good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Longest snippet of a dropped question kept in the running summary
+const SUMMARY_SNIPPET_LENGTH = 120;
+
+class ConversationMemory {
+  /**
+   * @param {Object} options - Budget configuration
+   * @param {number} options.maxTurns - Maximum question/answer exchanges kept verbatim
+   * @param {number} options.maxTokens - Approximate token budget for the verbatim history
+   * @param {number} options.maxSummaryItems - Maximum earlier questions kept in the summary
+   * @param {number} options.maxSessions - Most sessions kept; the least recently used are forgotten first
+   */
+  constructor({
+    maxTurns = parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6,
+    maxTokens = parseInt(process.env.CONVERSATION_MAX_TOKENS, 10) || 1500,
+    maxSummaryItems = 10,
+    maxSessions = Infinity
+  } = {}) {
+    this.maxTurns = maxTurns;
+    this.maxTokens = maxTokens;
+    this.maxSummaryItems = maxSummaryItems;
+    this.maxSessions = maxSessions;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get or create the conversation for a session, marking it as recently used
+   * @param {string} sessionId - Socket id or other session key
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId) || { exchanges: [], summary: [] };
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, session);
+
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return session;
+  }
+
+  /**
+   * Record a completed question/answer exchange and enforce the budget
+   * @param {string} sessionId - Session key
+   * @param {string} question - The user's question
+   * @param {string} answer - The assistant's answer
+   */
+  addExchange(sessionId, question, answer) {
+    const session = this.getSession(sessionId);
+    session.exchanges.push({ question, answer });
+    this.trim(session);
+  }
+
+  /**
+   * Drop the oldest exchanges until the session fits its turn and token budget,
+   * folding each dropped question into a short running summary
+   * @param {Object} session - Session to trim
+   */
+  trim(session) {
+    // Always keep the latest exchange, even if it alone exceeds the budget
+    while (
+      session.exchanges.length > 1 &&
+      (session.exchanges.length > this.maxTurns || this.estimateTokens(session.exchanges) > this.maxTokens)
+    ) {
+      const dropped = session.exchanges.shift();
+      session.summary.push(this.summarizeExchange(dropped));
+    }
+
+    if (session.summary.length > this.maxSummaryItems) {
+      session.summary = session.summary.slice(-this.maxSummaryItems);
+    }
+  }
+
+  /**
+   * Reduce an exchange to a one-line note for the summary
+   * @param {Object} exchange - Exchange being dropped from the verbatim history
+   */
+  summarizeExchange({ question }) {
+    const text = question.trim().replace(/\s+/g, ' ');
+    return text.length > SUMMARY_SNIPPET_LENGTH
+      ? `${text.substring(0, SUMMARY_SNIPPET_LENGTH)}...`
+      : text;
+  }
+
+  /**
+   * Approximate token count of a list of exchanges
+   * @param {Array<Object>} exchanges - Exchanges to measure
+   */
+  estimateTokens(exchanges) {
+    const chars = exchanges.reduce((sum, { question, answer }) => sum + question.length + answer.length, 0);
+    return Math.ceil(chars / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Build chat messages for the session's history, oldest first
+   * @param {string} sessionId - Session key
+   * @returns {Array<Object>} - OpenAI chat messages to place before the new question
+   */
+  getMessages(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return [];
+    }
+
+    const messages = [];
+    if (session.summary.length > 0) {
+      messages.push({
+        role: 'system',
+        content: `Earlier in this conversation the player asked about:\n- ${session.summary.join('\n- ')}`
+      });
+    }
+
+    session.exchanges.forEach(({ question, answer }) => {
+      messages.push({ role: 'user', content: question });
+      messages.push({ role: 'assistant', content: answer });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Forget a session's conversation
+   * @param {string} sessionId - Session key
+   */
+  clear(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+module.exports = ConversationMemory;
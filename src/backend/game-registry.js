@@ -0,0 +1,95 @@
+/**
+ * Game Registry
+ * Discovers game expert modules under src/games/ and hands out instances by id
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GameExpert = require('../games/game-expert');
+const { logger } = require('./logger');
+
+const GAMES_DIR = path.join(__dirname, '../games');
+
+class GameRegistry {
+  /**
+   * @param {Object} chatProvider - Chat provider passed to every game expert
+   * @param {string} gamesDir - Directory to scan for game modules
+   */
+  constructor(chatProvider, gamesDir = GAMES_DIR) {
+    this.chat = chatProvider;
+    this.gamesDir = gamesDir;
+    this.experts = new Map();
+    this.defaultGameId = null;
+  }
+
+  /**
+   * Load every module in the games directory that exports a GameExpert subclass
+   * @returns {GameRegistry} - This registry, for chaining
+   */
+  discover() {
+    const files = fs.readdirSync(this.gamesDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const ExpertClass = require(path.join(this.gamesDir, file));
+
+      // Skip the base class and helper modules that aren't game experts
+      if (typeof ExpertClass !== 'function' || !(ExpertClass.prototype instanceof GameExpert)) {
+        continue;
+      }
+
+      this.register(new ExpertClass(this.chat));
+    }
+
+    logger.info('Registered games', { games: [...this.experts.keys()] });
+    return this;
+  }
+
+  /**
+   * Register a game expert instance under its game id
+   * @param {GameExpert} expert - Expert instance to register
+   */
+  register(expert) {
+    if (!expert.gameId) {
+      throw new Error(`${expert.constructor.name} has no game id`);
+    }
+    if (this.experts.has(expert.gameId)) {
+      throw new Error(`Duplicate game id: ${expert.gameId}`);
+    }
+
+    this.experts.set(expert.gameId, expert);
+
+    // The first registered game (alphabetically by file) is the default
+    if (!this.defaultGameId) {
+      this.defaultGameId = expert.gameId;
+    }
+  }
+
+  /**
+   * Check whether a game id is registered
+   * @param {string} gameId - Game identifier
+   */
+  has(gameId) {
+    return this.experts.has(gameId);
+  }
+
+  /**
+   * Get the expert for a game, falling back to the default game
+   * @param {string} gameId - Game identifier
+   * @returns {GameExpert} - Registered expert instance
+   */
+  get(gameId) {
+    return this.experts.get(gameId) || this.experts.get(this.defaultGameId);
+  }
+
+  /**
+   * List public info for every registered game
+   * @returns {Array<Object>} - Game info objects
+   */
+  list() {
+    return [...this.experts.values()].map(expert => expert.getGameInfo());
+  }
+}
+
+module.exports = GameRegistry;
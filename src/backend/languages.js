@@ -0,0 +1,106 @@
+/**
+ * Languages
+ * The languages Hexpert can be asked in, and working out which one a question
+ * is in when a table leaves it on automatic
+ */
+
+// Setting that detects the language of each question
+const AUTO_LANGUAGE = 'auto';
+
+// Supported languages by ISO-639-1 code, with the name Whisper reports when it detects them
+const LANGUAGES = {
+  en: { name: 'English', englishName: 'English', whisperName: 'english' },
+  de: { name: 'Deutsch', englishName: 'German', whisperName: 'german' },
+  es: { name: 'Español', englishName: 'Spanish', whisperName: 'spanish' }
+};
+
+// Language of new tables: a code above, or "auto"
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+
+// Language assumed when an automatic table's question gives no clue
+const FALLBACK_LANGUAGE = 'en';
+
+// Short, frequent words that give away the language of typed text
+const COMMON_WORDS = {
+  en: ['the', 'what', 'is', 'if', 'can', 'i', 'do', 'does', 'how', 'when', 'my', 'you', 'and', 'of', 'with', 'happens'],
+  de: ['der', 'die', 'das', 'was', 'ist', 'wenn', 'ich', 'kann', 'ein', 'eine', 'und', 'wie', 'mit', 'mein', 'nicht', 'darf', 'passiert'],
+  es: ['el', 'la', 'los', 'las', 'que', 'qué', 'es', 'si', 'puedo', 'una', 'y', 'cómo', 'con', 'mi', 'no', 'se', 'pasa']
+};
+
+// Fewest common words a question needs before its language is trusted
+const MIN_DETECTION_WORDS = 2;
+
+/**
+ * Check a language setting
+ * @param {string} language - Language code or "auto"
+ * @returns {string} - The setting
+ */
+function validateLanguage(language) {
+  if (language !== AUTO_LANGUAGE && !LANGUAGES[language]) {
+    throw new Error(`Unknown language "${language}"; expected one of: ${[AUTO_LANGUAGE, ...Object.keys(LANGUAGES)].join(', ')}`);
+  }
+  return language;
+}
+
+/**
+ * Guess the language of a piece of text from its common words
+ * @param {string} text - Question text
+ * @returns {string|null} - Language code, or null if the text gives no clear answer
+ */
+function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+  const scores = Object.entries(COMMON_WORDS)
+    .map(([code, common]) => ({ code, score: words.filter(word => common.includes(word)).length }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  return best.score >= MIN_DETECTION_WORDS && best.score > runnerUp.score ? best.code : null;
+}
+
+/**
+ * Language code for a language Whisper detected
+ * @param {string} detected - Whisper's language name ("german") or code ("de")
+ * @returns {string|null} - Supported language code, or null
+ */
+function fromWhisperLanguage(detected) {
+  const name = String(detected || '').toLowerCase();
+  const match = Object.entries(LANGUAGES).find(([code, language]) => code === name || language.whisperName === name);
+  return match ? match[0] : null;
+}
+
+/**
+ * Language to answer a question in
+ * @param {string} setting - The table's language setting, a code or "auto"
+ * @param {Object} clues - What is known about the question
+ * @param {string} clues.detected - Language the speech-to-text provider detected, if any
+ * @param {string} clues.text - The question
+ * @returns {string} - Language code
+ */
+function resolveLanguage(setting, { detected = null, text = '' } = {}) {
+  if (setting && setting !== AUTO_LANGUAGE) {
+    return setting;
+  }
+  return fromWhisperLanguage(detected) || detectLanguage(text) || FALLBACK_LANGUAGE;
+}
+
+/**
+ * Supported languages for the client's language selector
+ * @returns {Array<Object>} - { code, name }, automatic detection first
+ */
+function listLanguages() {
+  return [
+    { code: AUTO_LANGUAGE, name: 'Automatic' },
+    ...Object.entries(LANGUAGES).map(([code, { name }]) => ({ code, name }))
+  ];
+}
+
+module.exports = {
+  AUTO_LANGUAGE,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  validateLanguage,
+  detectLanguage,
+  fromWhisperLanguage,
+  resolveLanguage,
+  listLanguages
+};
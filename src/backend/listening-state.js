@@ -0,0 +1,159 @@
+/**
+ * Listening State Machine
+ * Tracks where each client is in the wake-word flow:
+ * idle -> armed (wake phrase heard) -> capturing (question being spoken) -> answering -> idle
+ */
+
+const STATES = {
+  IDLE: 'idle',
+  ARMED: 'armed',
+  CAPTURING: 'capturing',
+  ANSWERING: 'answering'
+};
+
+// Transitions allowed from each state
+const TRANSITIONS = {
+  [STATES.IDLE]: [STATES.ARMED, STATES.ANSWERING],
+  [STATES.ARMED]: [STATES.ARMED, STATES.CAPTURING, STATES.ANSWERING, STATES.IDLE],
+  [STATES.CAPTURING]: [STATES.ARMED, STATES.ANSWERING, STATES.IDLE],
+  [STATES.ANSWERING]: [STATES.IDLE]
+};
+
+// How a client's microphone picks out questions: every utterance is one
+// (continuous), only speech after "Hey Hexpert" (wake-word), or what is said
+// while the talk button is held (push-to-talk)
+const CAPTURE_MODES = ['continuous', 'wake-word', 'push-to-talk'];
+
+// Mode of clients that haven't chosen one
+const DEFAULT_CAPTURE_MODE = process.env.WAKE_WORD_REQUIRED === 'false' ? 'continuous' : 'wake-word';
+
+class ListeningStateMachine {
+  /**
+   * @param {Function} onChange - Called with (state, previousState) after every transition
+   * @param {Object} options - Behaviour configuration
+   * @param {string} options.captureMode - One of CAPTURE_MODES; only wake-word mode needs the wake phrase
+   * @param {number} options.armedTimeoutMs - Return to idle if no question follows the wake phrase in time
+   */
+  constructor(onChange, {
+    captureMode = DEFAULT_CAPTURE_MODE,
+    armedTimeoutMs = parseInt(process.env.WAKE_WORD_TIMEOUT_MS, 10) || 8000
+  } = {}) {
+    this.onChange = onChange;
+    this.captureMode = captureMode;
+    this.armedTimeoutMs = armedTimeoutMs;
+    this.state = STATES.IDLE;
+    this.armedTimer = null;
+  }
+
+  /**
+   * Whether questions must follow the wake phrase
+   */
+  get wakeWordRequired() {
+    return this.captureMode === 'wake-word';
+  }
+
+  /**
+   * Switch how the client's microphone picks out questions
+   * @param {string} mode - One of CAPTURE_MODES
+   */
+  setCaptureMode(mode) {
+    if (!CAPTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown capture mode: ${mode}`);
+    }
+
+    this.captureMode = mode;
+    // The state is unchanged, but whether it needs the wake phrase may not be
+    if (this.onChange) {
+      this.onChange(this.state, this.state);
+    }
+  }
+
+  /**
+   * Move to a new state if the transition is allowed
+   * @param {string} nextState - One of STATES
+   * @returns {boolean} - Whether the transition happened
+   */
+  transition(nextState) {
+    if (!TRANSITIONS[this.state].includes(nextState)) {
+      return false;
+    }
+
+    clearTimeout(this.armedTimer);
+    this.armedTimer = null;
+
+    const previousState = this.state;
+    this.state = nextState;
+
+    // Give up waiting for a question after the timeout
+    if (nextState === STATES.ARMED) {
+      this.armedTimer = setTimeout(() => this.transition(STATES.IDLE), this.armedTimeoutMs);
+    }
+
+    if (this.onChange) {
+      this.onChange(nextState, previousState);
+    }
+    return true;
+  }
+
+  /**
+   * Wake phrase heard (or triggered manually): wait for a question
+   */
+  wake() {
+    return this.transition(STATES.ARMED);
+  }
+
+  /**
+   * Speech started while armed: the question is being captured
+   */
+  startCapture() {
+    if (this.state !== STATES.ARMED) {
+      return false;
+    }
+    return this.transition(STATES.CAPTURING);
+  }
+
+  /**
+   * Captured speech turned out to be empty: keep waiting for the question
+   */
+  cancelCapture() {
+    if (this.state !== STATES.CAPTURING) {
+      return false;
+    }
+    return this.transition(STATES.ARMED);
+  }
+
+  /**
+   * Whether speech heard now should be treated as a question
+   */
+  acceptsQuestion() {
+    if (!this.wakeWordRequired) {
+      return this.state !== STATES.ANSWERING;
+    }
+    return this.state === STATES.ARMED || this.state === STATES.CAPTURING;
+  }
+
+  /**
+   * A question is being answered
+   */
+  startAnswering() {
+    return this.transition(STATES.ANSWERING);
+  }
+
+  /**
+   * Answer delivered: back to waiting for the wake phrase
+   */
+  finishAnswering() {
+    return this.transition(STATES.IDLE);
+  }
+
+  /**
+   * Stop timers when the client goes away
+   */
+  dispose() {
+    clearTimeout(this.armedTimer);
+    this.armedTimer = null;
+    this.onChange = null;
+  }
+}
+
+module.exports = { ListeningStateMachine, STATES, CAPTURE_MODES, DEFAULT_CAPTURE_MODE };
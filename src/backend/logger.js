@@ -0,0 +1,103 @@
+/**
+ * Logger
+ * Structured logging: one JSON object per line, with the correlation id of the
+ * question being handled, so every line about one question (transcription,
+ * answer, speech) can be found together. The id is carried through async calls,
+ * so code deep in a question's handling logs it without passing it along.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Least severe level written
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+// Fields of the question being handled, such as its correlation id and table
+const context = new AsyncLocalStorage();
+
+/**
+ * Turn a logged value into something JSON can show; errors keep their message and stack
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {Object} fields - Fields added to every line
+   * @param {Object} options - Output settings
+   * @param {string} options.level - Least severe level written: debug, info, warn or error
+   * @param {Function} options.write - (line, level) writes one line; errors go to stderr by default
+   */
+  constructor(fields = {}, { level = LOG_LEVEL, write = null } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown LOG_LEVEL "${level}"; expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.fields = fields;
+    this.level = level;
+    this.write = write || ((line, lineLevel) => (lineLevel === 'error' ? process.stderr : process.stdout).write(`${line}\n`));
+  }
+
+  /**
+   * Logger that adds more fields to every line, e.g. a component name
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} - New logger
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, { level: this.level, write: this.write });
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write one line with the logger's fields and the current question's context
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} fields - Details, e.g. { durationMs, error }
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...context.getStore() };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = serialize(value);
+    });
+    this.write(JSON.stringify(entry), level);
+  }
+}
+
+/**
+ * Run a task with fields, such as a correlation id, added to every line it logs,
+ * including lines logged by anything it awaits
+ * @param {Object} fields - Fields to add, merged over any the caller already has
+ * @param {Function} task - Function to run
+ * @returns {*} - The task's return value
+ */
+function withLogContext(fields, task) {
+  return context.run({ ...context.getStore(), ...fields }, task);
+}
+
+// Shared logger for the backend
+const logger = new Logger();
+
+module.exports = { Logger, logger, withLogContext };
@@ -0,0 +1,112 @@
+/**
+ * LRU Cache
+ * A bounded map that drops its least recently used entries first, with hit and
+ * miss counters for reporting how well it is working
+ */
+
+class LruCache {
+  /**
+   * @param {Object} options - Bounds
+   * @param {number} options.maxEntries - Most entries kept
+   * @param {number} options.maxBytes - Most total size kept, measured with sizeOf; Infinity for no limit
+   * @param {Function} options.sizeOf - Size of one value in bytes
+   */
+  constructor({ maxEntries = 500, maxBytes = Infinity, sizeOf = () => 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Look up a value, counting the hit or miss and marking it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} - Cached value, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Look up a value without counting it or changing its position
+   */
+  peek(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries to stay within bounds
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this.delete(key);
+    this.entries.set(key, value);
+    this.bytes += this.sizeOf(value);
+
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 1)) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove one entry
+   * @returns {boolean} - Whether there was an entry to remove
+   */
+  delete(key) {
+    if (!this.entries.has(key)) {
+      return false;
+    }
+    this.bytes -= this.sizeOf(this.entries.get(key));
+    this.entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Remove every entry; the counters are kept
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Entries from least to most recently used, as [key, value]
+   */
+  [Symbol.iterator]() {
+    return this.entries[Symbol.iterator]();
+  }
+
+  /**
+   * Counters and size for metrics
+   * @returns {Object} - { entries, bytes, hits, misses, evictions, hitRate }
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,213 @@
+/**
+ * Metrics
+ * Latency histograms and error counters for each stage of answering a question
+ * (speech-to-text, chat, text-to-speech), plus counters and gauges read from the
+ * rest of the server, served at /metrics in the Prometheus text format
+ */
+
+const { logger } = require('./logger');
+
+// Histogram buckets for latencies, in seconds
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30];
+
+// Provider methods timed as each stage
+const STAGE_METHODS = { stt: ['transcribe'], chat: ['complete', 'stream'], tts: ['synthesize'] };
+
+/**
+ * Format labels as {name="value",...}, escaped as the text format requires
+ * @param {Object} labels - Label values by name
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counter that only goes up, with one value per label combination
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  /**
+   * Add to the count for a label combination
+   */
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...[...this.values].map(([labels, value]) => `${this.name}${labels} ${value}`)
+    ];
+  }
+}
+
+/**
+ * Histogram of observed values (latencies), with one set of buckets per label combination
+ */
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * Record one observation for a label combination
+   */
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Value read from elsewhere in the server each time metrics are scraped, such
+ * as connected sockets or the answer cache's hit count
+ */
+class Collected {
+  /**
+   * @param {string} type - gauge or counter
+   * @param {Function} collect - () => number, or an array of [labels, number]
+   */
+  constructor(type, name, help, collect) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    const value = this.collect();
+    const samples = Array.isArray(value) ? value : [[{}, value]];
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...samples.map(([labels, sample]) => `${this.name}${formatLabels(labels)} ${Number(sample) || 0}`)
+    ];
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = [];
+    this.stageDuration = this.register(new Histogram('hexpert_stage_duration_seconds',
+      'Time spent in each speech-to-text, chat and text-to-speech provider call'));
+    this.stageErrors = this.register(new Counter('hexpert_stage_errors_total',
+      'Speech-to-text, chat and text-to-speech provider calls that failed'));
+    this.questionDuration = this.register(new Histogram('hexpert_question_duration_seconds',
+      'Time from receiving a question to its complete answer'));
+    this.firstTokenDuration = this.register(new Histogram('hexpert_first_token_seconds',
+      'Time from receiving a question to the first words of its answer'));
+    this.offlineAnswers = this.register(new Counter('hexpert_offline_answers_total',
+      'Questions answered from the local rules search because the chat provider was unavailable'));
+  }
+
+  /**
+   * Add a metric to the /metrics output
+   * @returns {Object} - The metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Report a gauge read at scrape time
+   * @param {Function} collect - () => number, or an array of [labels, number]
+   */
+  gauge(name, help, collect) {
+    this.register(new Collected('gauge', name, help, collect));
+  }
+
+  /**
+   * Report a counter kept elsewhere, read at scrape time
+   * @param {Function} collect - () => number, or an array of [labels, number]
+   */
+  counter(name, help, collect) {
+    this.register(new Collected('counter', name, help, collect));
+  }
+
+  /**
+   * Time one call to a provider, counting it as an error if it fails
+   * @param {string} stage - stt, chat or tts
+   * @param {string} provider - Provider name, e.g. openai
+   * @param {Function} task - The call
+   * @returns {Promise} - The call's result
+   */
+  async timeStage(stage, provider, task) {
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    try {
+      const result = await task();
+      const seconds = elapsed();
+      this.stageDuration.observe({ stage, provider }, seconds);
+      logger.debug('Stage finished', { stage, provider, durationMs: Math.round(seconds * 1000) });
+      return result;
+    } catch (error) {
+      this.stageErrors.inc({ stage, provider });
+      logger.warn('Stage failed', { stage, provider, durationMs: Math.round(elapsed() * 1000), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Time every call to the speech-to-text, chat and text-to-speech providers,
+   * wherever it is made from
+   * @param {Object} providers - From createProviders(); wrapped in place
+   * @returns {Object} - The same providers
+   */
+  instrumentProviders(providers) {
+    Object.entries(STAGE_METHODS).forEach(([stage, methods]) => {
+      const service = providers[stage];
+      methods.forEach(method => {
+        const call = service[method].bind(service);
+        service[method] = (...args) => this.timeStage(stage, providers.names[stage], () => call(...args));
+      });
+    });
+    return providers;
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  render() {
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,74 @@
+/**
+ * Providers
+ * Picks the speech-to-text, chat and text-to-speech implementations from
+ * configuration. AI_PROVIDER sets all three; STT_PROVIDER, LLM_PROVIDER and
+ * TTS_PROVIDER override it per service.
+ */
+
+const { OpenAISpeechToText, OpenAIChat, OpenAITextToSpeech } = require('./openai');
+const { StubSpeechToText, StubChat, StubTextToSpeech } = require('./stub');
+const { LANGUAGES } = require('../languages');
+
+const PROVIDERS = {
+  stt: {
+    openai: env => new OpenAISpeechToText({
+      apiKey: env.STT_API_KEY || env.OPENAI_API_KEY,
+      baseURL: env.STT_BASE_URL || env.OPENAI_BASE_URL,
+      model: env.OPENAI_WHISPER_MODEL || 'whisper-1'
+    }),
+    stub: env => new StubSpeechToText({ transcript: env.STUB_TRANSCRIPT || undefined })
+  },
+  chat: {
+    openai: env => new OpenAIChat({
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+      baseURL: env.LLM_BASE_URL || env.OPENAI_BASE_URL,
+      model: env.OPENAI_GPT_MODEL || 'gpt-3.5-turbo'
+    }),
+    stub: env => new StubChat({ answer: env.STUB_ANSWER || null })
+  },
+  tts: {
+    openai: env => new OpenAITextToSpeech({
+      apiKey: env.TTS_API_KEY || env.OPENAI_API_KEY,
+      baseURL: env.TTS_BASE_URL || env.OPENAI_BASE_URL,
+      model: env.OPENAI_TTS_MODEL || 'tts-1',
+      voice: env.OPENAI_TTS_VOICE || 'alloy',
+      voices: languageVoices(env)
+    }),
+    stub: () => new StubTextToSpeech()
+  }
+};
+
+/**
+ * Per-language TTS voices from OPENAI_TTS_VOICE_<LANGUAGE>, e.g. OPENAI_TTS_VOICE_DE
+ * @returns {Object} - Voice names by ISO-639-1 code
+ */
+function languageVoices(env) {
+  return Object.fromEntries(Object.keys(LANGUAGES)
+    .filter(code => env[`OPENAI_TTS_VOICE_${code.toUpperCase()}`])
+    .map(code => [code, env[`OPENAI_TTS_VOICE_${code.toUpperCase()}`]]));
+}
+
+// Environment variable that overrides AI_PROVIDER for each service
+const OVERRIDE_VARIABLES = { stt: 'STT_PROVIDER', chat: 'LLM_PROVIDER', tts: 'TTS_PROVIDER' };
+
+/**
+ * Create the configured provider for every service
+ * @param {Object} env - Configuration, normally process.env
+ * @returns {Object} - { stt, chat, tts, names } where names records which provider each service uses
+ */
+function createProviders(env = process.env) {
+  const providers = { names: {} };
+
+  Object.entries(PROVIDERS).forEach(([service, factories]) => {
+    const name = (env[OVERRIDE_VARIABLES[service]] || env.AI_PROVIDER || 'openai').toLowerCase();
+    if (!factories[name]) {
+      throw new Error(`Unknown ${OVERRIDE_VARIABLES[service]} "${name}"; expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+    providers[service] = factories[name](env);
+    providers.names[service] = name;
+  });
+
+  return providers;
+}
+
+module.exports = { createProviders };
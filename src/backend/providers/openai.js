@@ -0,0 +1,155 @@
+/**
+ * OpenAI-compatible Providers
+ * Speech-to-text, chat and text-to-speech over the OpenAI HTTP API. The base URL
+ * is configurable, so the same code talks to OpenAI or to a self-hosted server
+ * that speaks the same API (LocalAI, vLLM, Ollama, faster-whisper-server, ...)
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Create an OpenAI SDK client for one service
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - API key; optional for local servers
+ * @param {string} options.baseURL - API base URL, e.g. http://localhost:8080/v1
+ */
+function createClient({ apiKey, baseURL }) {
+  if (!apiKey && !baseURL) {
+    throw new Error('OPENAI_API_KEY is not set. Set it, point a *_BASE_URL at a local server, or use AI_PROVIDER=stub');
+  }
+
+  // Local servers usually ignore the key, but the SDK requires one
+  return new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+}
+
+class OpenAISpeechToText {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseURL - API base URL
+   * @param {string} options.model - Transcription model
+   */
+  constructor({ apiKey, baseURL, model = 'whisper-1' }) {
+    this.client = createClient({ apiKey, baseURL });
+    this.model = model;
+  }
+
+  /**
+   * Transcribe one utterance
+   * @param {Buffer} audio - Complete recording
+   * @param {Object} options - Transcription options
+   * @param {string} options.filename - File name, whose extension tells the server the audio format
+   * @param {string} options.language - ISO-639-1 language of the speech; null to have the model detect it
+   * @returns {Object} - { text, language } where language is the one detected, or the one given
+   */
+  async transcribe(audio, { filename = 'audio.webm', language = 'en' } = {}) {
+    const transcription = await this.client.audio.transcriptions.create({
+      file: await OpenAI.toFile(audio, filename),
+      model: this.model,
+      // Only the verbose format reports the language the model detected
+      ...(language ? { language } : { response_format: 'verbose_json' })
+    });
+    return { text: transcription.text || '', language: transcription.language || language };
+  }
+}
+
+class OpenAIChat {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseURL - API base URL
+   * @param {string} options.model - Chat model used when a request does not name one
+   */
+  constructor({ apiKey, baseURL, model = 'gpt-3.5-turbo' }) {
+    this.client = createClient({ apiKey, baseURL });
+    this.model = model;
+  }
+
+  /**
+   * Request a completion in one piece
+   * @param {Object} request - Chat completion request (messages, tools, max_tokens, ...)
+   * @returns {Object} - { content, toolCalls }
+   */
+  async complete(request) {
+    const response = await this.client.chat.completions.create({ model: this.model, ...request });
+    const message = response.choices[0].message;
+    return { content: message.content || '', toolCalls: message.tool_calls || [] };
+  }
+
+  /**
+   * Stream a completion, passing text deltas on and collecting tool calls,
+   * which arrive split across many chunks
+   * @param {Object} request - Chat completion request
+   * @param {Function} onDelta - Called with each text delta
+   * @returns {Object} - { content, toolCalls }
+   */
+  async stream(request, onDelta) {
+    const stream = await this.client.chat.completions.create({ model: this.model, ...request, stream: true });
+    const toolCalls = [];
+    let content = '';
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+
+      (delta.tool_calls || []).forEach(part => {
+        if (!toolCalls[part.index]) {
+          toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const toolCall = toolCalls[part.index];
+        toolCall.id = part.id || toolCall.id;
+        toolCall.function.name += part.function?.name || '';
+        toolCall.function.arguments += part.function?.arguments || '';
+      });
+    }
+
+    return { content, toolCalls: toolCalls.filter(Boolean) };
+  }
+}
+
+class OpenAITextToSpeech {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.baseURL - API base URL
+   * @param {string} options.model - Speech model
+   * @param {string} options.voice - Voice name (alloy, nova, echo, fable, onyx or shimmer on OpenAI)
+   * @param {Object} options.voices - Voice to use instead for some languages, by ISO-639-1 code
+   */
+  constructor({ apiKey, baseURL, model = 'tts-1', voice = 'alloy', voices = {} }) {
+    this.client = createClient({ apiKey, baseURL });
+    this.model = model;
+    this.voice = voice;
+    this.voices = voices;
+  }
+
+  /**
+   * Voice that speaks a language
+   * @param {string} language - ISO-639-1 code
+   */
+  voiceFor(language) {
+    return this.voices[language] || this.voice;
+  }
+
+  /**
+   * Synthesize speech for a piece of text
+   * @param {string} text - Text to speak
+   * @param {Object} options - Speech options
+   * @param {string} options.language - ISO-639-1 language of the text, which picks the voice
+   * @returns {Buffer} - MP3 audio
+   */
+  async synthesize(text, { language = 'en' } = {}) {
+    const mp3 = await this.client.audio.speech.create({
+      model: this.model,
+      voice: this.voiceFor(language),
+      input: text,
+      response_format: 'mp3'
+    });
+    return Buffer.from(await mp3.arrayBuffer());
+  }
+}
+
+module.exports = { OpenAISpeechToText, OpenAIChat, OpenAITextToSpeech };
@@ -0,0 +1,91 @@
+/**
+ * Stub Providers
+ * Deterministic stand-ins for speech-to-text, chat and text-to-speech that need
+ * no network or API key, so the whole pipeline can be run and demoed offline
+ */
+
+// Number of silent MP3 frames in each synthesized clip (~26 ms each, so about half a second)
+const SILENT_FRAME_COUNT = 20;
+
+/**
+ * Build a silent MP3: MPEG-1 Layer III frames at 32 kbps, 44.1 kHz mono whose
+ * side information is all zero, so every frame decodes to silence
+ * @returns {Buffer} - MP3 audio
+ */
+function createSilentMp3() {
+  // 144 * 32000 / 44100 bytes per frame, without padding
+  const frame = Buffer.alloc(104);
+  frame.set([0xFF, 0xFB, 0x10, 0xC0]);
+  return Buffer.concat(new Array(SILENT_FRAME_COUNT).fill(frame));
+}
+
+const SILENT_MP3 = createSilentMp3();
+
+class StubSpeechToText {
+  /**
+   * @param {Object} options - Stub options
+   * @param {string} options.transcript - Text returned for every utterance
+   */
+  constructor({ transcript = 'Hey Hexpert, what happens if I tie with a monster?' } = {}) {
+    this.transcript = transcript;
+  }
+
+  /**
+   * Return the canned transcript, ignoring the audio
+   * @returns {Object} - { text, language } where language is the one asked for, if any
+   */
+  async transcribe(audio, { language = null } = {}) {
+    return { text: this.transcript, language };
+  }
+}
+
+class StubChat {
+  /**
+   * @param {Object} options - Stub options
+   * @param {string} options.answer - Answer returned for every question; by default the question is echoed back
+   */
+  constructor({ answer = null } = {}) {
+    this.answer = answer;
+  }
+
+  /**
+   * The canned answer for a request. Never calls tools.
+   */
+  answerFor(request) {
+    if (this.answer) {
+      return this.answer;
+    }
+    const question = [...request.messages].reverse().find(message => message.role === 'user');
+    return `This is a stub answer to "${question ? question.content : ''}". ` +
+      'Set AI_PROVIDER=openai to get real answers.';
+  }
+
+  /**
+   * @returns {Object} - { content, toolCalls }
+   */
+  async complete(request) {
+    return { content: this.answerFor(request), toolCalls: [] };
+  }
+
+  /**
+   * Stream the canned answer word by word, like a real model would
+   * @returns {Object} - { content, toolCalls }
+   */
+  async stream(request, onDelta) {
+    const content = this.answerFor(request);
+    (content.match(/\S+\s*/g) || []).forEach(word => onDelta(word));
+    return { content, toolCalls: [] };
+  }
+}
+
+class StubTextToSpeech {
+  /**
+   * Return half a second of silence for any text
+   * @returns {Buffer} - MP3 audio
+   */
+  async synthesize() {
+    return SILENT_MP3;
+  }
+}
+
+module.exports = { StubSpeechToText, StubChat, StubTextToSpeech, SILENT_MP3 };
@@ -0,0 +1,72 @@
+/**
+ * Sentence Splitter
+ * Accumulates streamed text and yields complete sentences as soon as they end,
+ * so each one can be sent to TTS without waiting for the whole answer
+ */
+
+// Sentence end: terminal punctuation (optionally followed by quotes/brackets) and whitespace
+const SENTENCE_END = /[.!?]+["')\]]*\s+/g;
+
+// Abbreviations that end with a period but don't end a sentence
+const ABBREVIATIONS = ['e.g.', 'i.e.', 'etc.', 'vs.', 'mr.', 'mrs.', 'ms.', 'dr.', 'st.', 'lvl.'];
+
+class SentenceSplitter {
+  /**
+   * @param {Object} options - Splitting options
+   * @param {number} options.minLength - Sentences shorter than this are merged with the next one
+   */
+  constructor({ minLength = 20 } = {}) {
+    this.minLength = minLength;
+    this.buffer = '';
+  }
+
+  /**
+   * Add streamed text and return any sentences it completed
+   * @param {string} text - Newly received text
+   * @returns {Array<string>} - Complete sentences, in order
+   */
+  push(text) {
+    this.buffer += text;
+
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = this.buffer.substring(start, end).trim();
+
+      if (candidate.length < this.minLength || this.endsWithAbbreviation(candidate)) {
+        continue;
+      }
+
+      sentences.push(candidate);
+      start = end;
+    }
+
+    this.buffer = this.buffer.substring(start);
+    return sentences;
+  }
+
+  /**
+   * Return whatever text is left once the stream has ended
+   * @returns {string} - Remaining text, possibly empty
+   */
+  flush() {
+    const remainder = this.buffer.trim();
+    this.buffer = '';
+    return remainder;
+  }
+
+  /**
+   * Check whether text ends with a known abbreviation like "e.g."
+   * @param {string} text - Candidate sentence
+   */
+  endsWithAbbreviation(text) {
+    const lastWord = text.split(/\s+/).pop().toLowerCase().replace(/["')\]]+$/, '');
+    return ABBREVIATIONS.includes(lastWord);
+  }
+}
+
+module.exports = SentenceSplitter;
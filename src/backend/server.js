@@ -8,9 +8,23 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const OpenAI = require('openai');
-const fs = require('fs');
-const MunchkinExpert = require('../games/munchkin');
+const crypto = require('crypto');
+const { createProviders } = require('./providers');
+const { createApiRouter, handleApiError } = require('./api-routes');
+const GameRegistry = require('./game-registry');
+const ConversationMemory = require('./conversation-memory');
+const SentenceSplitter = require('./sentence-splitter');
+const UtteranceSegmenter = require('./utterance-segmenter');
+const { TableRooms } = require('./table-rooms');
+const SessionHistory = require('./session-history');
+const AnswerCache = require('./answer-cache');
+const SpeechCache = require('./speech-cache');
+const { ListeningStateMachine, CAPTURE_MODES, DEFAULT_CAPTURE_MODE } = require('./listening-state');
+const { detectWakeWord } = require('./wake-word');
+const { logger, withLogContext } = require('./logger');
+const Metrics = require('./metrics');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { AUTO_LANGUAGE, DEFAULT_LANGUAGE, validateLanguage, fromWhisperLanguage, resolveLanguage, listLanguages } = require('./languages');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -24,17 +38,114 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Stage latencies and error counts, served at /metrics
+const metrics = new Metrics();
+
+// Speech-to-text, chat and text-to-speech providers chosen by AI_PROVIDER and friends,
+// with every call timed as a stage
+const providers = metrics.instrumentProviders(createProviders());
+logger.info('Providers configured', { stt: providers.names.stt, llm: providers.names.chat, tts: providers.names.tts });
+
+// After repeated chat failures, questions are answered offline from a local
+// search of the rules until a trial call succeeds
+const chatBreaker = new CircuitBreaker({
+  name: 'Chat provider',
+  onStateChange: (state, previousState, breaker) => {
+    if (state === 'open') {
+      logger.warn('Chat provider failing; answering offline', { previousState, failures: breaker.failures, retryAt: breaker.toJSON().retryAt });
+    } else {
+      logger.info('Chat provider recovered', { previousState });
+    }
+  }
+});
+chatBreaker.wrap(providers.chat, ['complete', 'stream']);
+
+// Fail fast on a misspelled DEFAULT_LANGUAGE rather than on the first question
+validateLanguage(DEFAULT_LANGUAGE);
+
+// Discover game experts under src/games/ and initialize them with the chat provider
+const gameRegistry = new GameRegistry(providers.chat).discover();
+
+// Voice activity settings sent to the browser's endpointing
+const VAD_CONFIG = {
+  speechThreshold: parseFloat(process.env.VAD_SPEECH_THRESHOLD) || 0.02,
+  bargeInThreshold: parseFloat(process.env.VAD_BARGE_IN_THRESHOLD) || 0.06,
+  minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS, 10) || 250,
+  silenceDurationMs: parseInt(process.env.VAD_SILENCE_MS, 10) || 900,
+  maxUtteranceMs: parseInt(process.env.VAD_MAX_UTTERANCE_MS, 10) || 15000
+};
+
+// Collect streamed audio into one complete recording per utterance
+const utteranceSegmenter = new UtteranceSegmenter((clientId, chunks) => {
+  const socket = io.sockets.sockets.get(clientId);
+  if (socket) {
+    queueTranscription(chunks, socket);
+  }
+});
+
+// Wake-word listening state for each client
+const clientListeningStates = new Map();
+
+// Multi-turn conversation history for each table room
+const conversationMemory = new ConversationMemory();
+
+// REST sessions are named by their callers, so they are kept apart and capped:
+// new session ids only push out other REST conversations, never a table's
+const apiConversationMemory = new ConversationMemory({
+  maxSessions: parseInt(process.env.API_MAX_SESSIONS, 10) || 1000
 });
 
-// Initialize game expert with OpenAI client
-const munchkinExpert = new MunchkinExpert(openai);
+// Devices grouped by table: each room shares its game, table state, conversation
+// and transcript, and answers its questions one at a time
+const tableRooms = new TableRooms({
+  onExpire: room => {
+    conversationMemory.clear(room.sessionId);
+    sessionHistory.endSession(room.historyId);
+  }
+});
+
+// Saved transcript of every table session, for reviewing rulings afterwards
+const sessionHistory = new SessionHistory();
+
+// Answers to questions asked before, and audio for sentences spoken before
+const answerCache = new AnswerCache();
+const speechCache = new SpeechCache();
+
+// Answers cached from an earlier version of a game's rules, cards or prompt are dropped
+gameRegistry.list().forEach(({ id }) => {
+  const dropped = answerCache.invalidate(id, gameRegistry.get(id).knowledgeVersion);
+  if (dropped > 0) {
+    logger.info('Dropped cached answers after a knowledge base change', { gameId: id, dropped });
+  }
+});
 
-// Audio buffer management for each client
-const clientAudioBuffers = new Map();
-const clientProcessingFlags = new Map();
+/**
+ * Provider, model and voice that speak a language; cached speech is only
+ * reused by the same ones
+ * @param {string} language - ISO-639-1 code
+ */
+function speechVoice(language) {
+  const voice = providers.tts.voiceFor ? providers.tts.voiceFor(language) : providers.tts.voice;
+  return [providers.names.tts, providers.tts.model, voice].filter(Boolean).join('/');
+}
+
+// Counters and gauges read from the rest of the server when metrics are scraped
+metrics.gauge('hexpert_sockets_connected', 'Connected Socket.IO clients', () => io.engine.clientsCount);
+metrics.gauge('hexpert_table_rooms', 'Open table rooms', () => tableRooms.rooms.size);
+metrics.gauge('hexpert_chat_circuit_open', 'Whether questions are being answered offline because the chat provider keeps failing',
+  () => (chatBreaker.isOpen ? 1 : 0));
+metrics.gauge('hexpert_answer_cache_entries', 'Answers in the answer cache', () => answerCache.stats().entries);
+metrics.counter('hexpert_answer_cache_hits_total', 'Questions answered from the answer cache', () => answerCache.stats().hits);
+metrics.counter('hexpert_answer_cache_misses_total', 'Answer cache lookups that found nothing', () => answerCache.stats().misses);
+metrics.gauge('hexpert_speech_cache_bytes', 'Speech audio cached, by where it is kept', () => {
+  const { memoryBytes, diskBytes } = speechCache.stats();
+  return [[{ tier: 'memory' }, memoryBytes], [{ tier: 'disk' }, diskBytes]];
+});
+metrics.counter('hexpert_speech_cache_hits_total', 'Sentences spoken from cached audio, by where it was found', () => {
+  const { memoryHits, diskHits } = speechCache.stats();
+  return [[{ tier: 'memory' }, memoryHits], [{ tier: 'disk' }, diskHits]];
+});
+metrics.counter('hexpert_speech_cache_misses_total', 'Sentences that had to be synthesized', () => speechCache.stats().misses);
 
 // Middleware
 app.use(express.json());
@@ -45,90 +156,330 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../public/index.html'));
 });
 
+// List available games for the client's game selector
+app.get('/api/games', (req, res) => {
+  res.json({
+    games: gameRegistry.list(),
+    defaultGameId: gameRegistry.defaultGameId
+  });
+});
+
+// Client-side configuration such as voice activity thresholds, capture modes and the languages on offer
+app.get('/api/config', (req, res) => {
+  res.json({
+    vad: VAD_CONFIG,
+    captureModes: CAPTURE_MODES,
+    defaultCaptureMode: DEFAULT_CAPTURE_MODE,
+    languages: listLanguages()
+  });
+});
+
+// Liveness check with the provider configuration and current load
+app.get('/healthz', (req, res) => {
+  res.json({
+    // Degraded while answers come from the offline rules search
+    status: chatBreaker.isOpen ? 'degraded' : 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    providers: describeProviders(),
+    chatCircuit: chatBreaker.toJSON(),
+    sockets: io.engine.clientsCount,
+    tables: tableRooms.rooms.size,
+    games: gameRegistry.list().map(game => game.id)
+  });
+});
+
+// Stage latencies, errors, cache hit rates and connections for Prometheus
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Text, transcription and speech endpoints for bots and scripts
+app.use('/api', createApiRouter({
+  answerQuestion, transcribe, synthesizeSpeech, gameRegistry, sessionHistory, answerCache, speechCache
+}), handleApiError);
+
 /**
- * Generate TTS audio from text response
+ * Which provider, model and (for speech) voice each service uses, without secrets
+ * @returns {Object} - { stt, chat, tts }, each { provider, model, baseURL }
  */
-async function generateTTSAudio(text, socket) {
-  try {
-    console.log('Generating TTS for:', text.substring(0, 50) + '...');
-    
-    // Generate speech using OpenAI TTS
-    const mp3 = await openai.audio.speech.create({
-      model: process.env.OPENAI_TTS_MODEL || 'tts-1',
-      voice: 'alloy', // You can change this to nova, echo, fable, onyx, or shimmer
-      input: text,
-      response_format: 'mp3'
-    });
-    
-    // Convert response to buffer
-    const buffer = Buffer.from(await mp3.arrayBuffer());
-    
-    // Create temporary file for audio
-    const tempAudioPath = path.join(__dirname, `temp_tts_${socket.id}.mp3`);
-    fs.writeFileSync(tempAudioPath, buffer);
-    
-    // Read audio file and send to client
-    const audioData = fs.readFileSync(tempAudioPath);
-    socket.emit('tts-audio', {
-      audio: audioData.toString('base64'),
-      timestamp: new Date().toISOString()
-    });
-    
-    // Clean up temporary file
-    fs.unlinkSync(tempAudioPath);
-    
-    console.log('TTS audio generated and sent to client');
-    
-  } catch (error) {
-    console.error('TTS generation error:', error);
-    // Don't emit error for TTS failures - text response is already sent
-    console.log('TTS failed, but text response was already delivered');
+function describeProviders() {
+  return Object.fromEntries(['stt', 'chat', 'tts'].map(service => {
+    const { model = null, voice, client } = providers[service];
+    return [service, {
+      provider: providers.names[service],
+      model,
+      ...(voice ? { voice } : {}),
+      // Only shown when pointed at a self-hosted server rather than OpenAI itself
+      baseURL: client && client.baseURL !== 'https://api.openai.com/v1' ? client.baseURL : null
+    }];
+  }));
+}
+
+/**
+ * Synthesize speech for a piece of text with the configured TTS provider, in
+ * the voice for its language, reusing the audio when the same text was spoken before
+ * @param {string} text - Text to speak
+ * @param {string} language - ISO-639-1 code of the text's language
+ * @returns {Buffer} - MP3 audio
+ */
+async function synthesizeSpeech(text, language = 'en') {
+  return speechCache.getOrSynthesize(text, speechVoice(language), () => providers.tts.synthesize(text, { language }));
+}
+
+/**
+ * Create a queue that synthesizes sentences as soon as they are added but
+ * emits their audio strictly in order, so the client can play clips back to back
+ * @param {Object} target - Socket or broadcast target that receives the audio
+ */
+function createSpeechQueue(target, responseId, language) {
+  let sequence = 0;
+  let emitChain = Promise.resolve();
+
+  return {
+    add(sentence) {
+      const meta = { responseId, sequence: sequence++, text: sentence };
+      const audioPromise = synthesizeSpeech(sentence, language).catch(error => {
+        logger.error('TTS generation failed', { responseId, sequence: meta.sequence, error });
+        return null;
+      });
+
+      emitChain = emitChain.then(async () => {
+        const audioData = await audioPromise;
+        if (audioData) {
+          target.emit('tts-audio', {
+            ...meta,
+            audio: audioData.toString('base64'),
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+    },
+
+    // Resolves once every queued clip has been emitted, then tells the target
+    // how many clips the answer had, so clients know its speech is complete
+    drain() {
+      return emitChain.then(() => {
+        if (sequence > 0) {
+          target.emit('tts-complete', { responseId, clips: sequence, timestamp: new Date().toISOString() });
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Answer a question with a game's expert, remembering the exchange so
+ * follow-ups in the same session keep their context. Questions answered before
+ * under the same rules are served from the answer cache. While the chat provider
+ * keeps failing, questions get an offline answer from the game's rules search.
+ * @param {string} question - The question
+ * @param {Object} options - Session details
+ * @param {string} options.sessionId - Conversation memory key; null for a one-off question
+ * @param {string} options.gameId - Game to ask about
+ * @param {TableState} options.tableState - Optional table the question comes from
+ * @param {Array<string>} options.sets - Editions and expansions in play; the game's defaults when null
+ * @param {string} options.language - ISO-639-1 code of the language to answer in
+ * @param {Function} options.onToken - Optional callback receiving the answer as it streams
+ * @returns {Object} - { answer, citations, grounded, cached, offline, gameId }
+ */
+async function answerQuestion(question, { sessionId = null, gameId, tableState = null, sets = null, language = 'en', onToken = null }) {
+  const startedAt = Date.now();
+  let firstToken = true;
+  const timedOnToken = onToken && (delta => {
+    if (firstToken) {
+      firstToken = false;
+      metrics.firstTokenDuration.observe({}, (Date.now() - startedAt) / 1000);
+    }
+    onToken(delta);
+  });
+
+  const gameExpert = gameRegistry.get(gameId);
+  const memory = sessionId && sessionId.startsWith('api:') ? apiConversationMemory : conversationMemory;
+  const history = sessionId ? memory.getMessages(sessionId) : [];
+  const cacheKey = gameExpert.answerCacheKey(question, { history, tableState, sets, language });
+  const cached = cacheKey && answerCache.get(cacheKey);
+  let result;
+
+  if (cached) {
+    result = { answer: cached.answer, citations: cached.citations, grounded: cached.grounded, cached: true };
+    if (timedOnToken) {
+      timedOnToken(cached.answer);
+    }
+  } else if (chatBreaker.isOpen) {
+    // Don't wait on a provider that keeps failing
+    result = { ...gameExpert.processQuestionFallback(question, { history, tableState, sets }), cached: false };
+    if (timedOnToken) {
+      timedOnToken(result.answer);
+    }
+  } else {
+    const tableVersion = tableState && tableState.version;
+    result = { ...await gameExpert.processQuestion(question, { history, tableState, sets, language, onToken: timedOnToken }), cached: false };
+
+    // Only reuse answers backed by the rules; not offline answers, nor answers that changed the table
+    if (cacheKey && result.grounded && !result.offline && (!tableState || tableState.version === tableVersion)) {
+      answerCache.set(cacheKey, {
+        gameId: gameExpert.gameId,
+        knowledgeVersion: gameExpert.knowledgeVersion,
+        answer: result.answer,
+        citations: result.citations,
+        grounded: result.grounded
+      });
+    }
+  }
+
+  if (sessionId) {
+    memory.addExchange(sessionId, question, result.answer);
   }
+
+  const offline = Boolean(result.offline);
+  if (offline) {
+    metrics.offlineAnswers.inc();
+  }
+
+  const seconds = (Date.now() - startedAt) / 1000;
+  metrics.questionDuration.observe({ cached: String(result.cached) }, seconds);
+  logger.info('Question answered', {
+    gameId: gameExpert.gameId, language, cached: result.cached, offline, grounded: result.grounded, durationMs: Math.round(seconds * 1000)
+  });
+  return { ...result, offline, gameId: gameExpert.gameId };
+}
+
+/**
+ * Transcribe a complete recording with the configured speech-to-text provider
+ * @param {Buffer} audio - Recorded audio
+ * @param {string} filename - File name whose extension tells the provider the format
+ * @param {string} language - Language spoken, or "auto" to have the provider detect it
+ * @returns {Object} - { text, language }: the transcript, trimmed, and the language
+ *   spoken if it is a supported one
+ */
+async function transcribe(audio, filename = 'audio.webm', language = 'en') {
+  const result = await providers.stt.transcribe(audio, { filename, language: language === AUTO_LANGUAGE ? null : language });
+  return { text: (result.text || '').trim(), language: fromWhisperLanguage(result.language) };
+}
+
+/**
+ * File name for a streamed recording, from the container its first bytes show.
+ * The browser records WebM/Opus; scripts such as the hexpert CLI may stream
+ * other formats through the same socket path.
+ * @param {Buffer} audio - Complete recording
+ * @returns {string} - e.g. audio.wav
+ */
+function audioFilename(audio) {
+  const signatures = [
+    ['wav', audio.subarray(0, 4).toString('latin1') === 'RIFF' && audio.subarray(8, 12).toString('latin1') === 'WAVE'],
+    ['ogg', audio.subarray(0, 4).toString('latin1') === 'OggS'],
+    ['flac', audio.subarray(0, 4).toString('latin1') === 'fLaC'],
+    ['mp3', audio.subarray(0, 3).toString('latin1') === 'ID3' || (audio[0] === 0xFF && (audio[1] & 0xE0) === 0xE0)]
+  ];
+  const match = signatures.find(([, matches]) => matches);
+  return `audio.${match ? match[0] : 'webm'}`;
 }
 
 /**
- * Process transcribed question through game expert AI
+ * Process transcribed question through game expert AI, streaming the answer
+ * to every device at the table and speaking it one sentence at a time on the
+ * table's speaker device (or the asking device while the speaker is away)
+ * @param {Object} client - Asking client, from queueForClient()
+ * @param {Object} options - Delivery options
+ * @param {boolean} options.speak - Whether to send TTS audio for the answer
+ * @param {string} options.detectedLanguage - Language the speech-to-text provider heard, if any
  */
-async function processQuestion(transcribedText, socket) {
+async function processQuestion(transcribedText, { socket, room }, { speak = true, detectedLanguage = null } = {}) {
+  // Answer in the table's language, or in the one the question was asked in
+  const tableState = room.tableState;
+  const language = resolveLanguage(tableState.language, { detected: detectedLanguage, text: transcribedText });
+
+  const responseId = crypto.randomUUID();
+  const splitter = new SentenceSplitter();
+  const table = io.to(room.channel);
+  const speechQueue = createSpeechQueue(io.to(room.speakerSocketId() || socket.id), responseId, language);
+
   try {
-    console.log('Processing question:', transcribedText);
+    logger.info('Processing question', { table: room.code, language, question: transcribedText });
     
-    // Generate intelligent response using MunchkinExpert + GPT
-    const response = await munchkinExpert.processQuestion(transcribedText);
+    // Generate intelligent response using the table's game expert + GPT
+    const tableVersion = tableState.version;
+    const { answer: response, citations, grounded, cached, offline, gameId } = await answerQuestion(transcribedText, {
+      sessionId: room.sessionId,
+      gameId: room.gameId,
+      tableState,
+      sets: tableState.sets,
+      language,
+      onToken: (delta) => {
+        // Render the answer live and start TTS for each sentence as it completes
+        table.emit('ai-response-chunk', {
+          responseId,
+          delta,
+          timestamp: new Date().toISOString()
+        });
+        if (speak) {
+          splitter.push(delta).forEach(sentence => speechQueue.add(sentence));
+        }
+      }
+    });
+
+    // Speak whatever trailed the last complete sentence
+    const remainder = splitter.flush();
+    if (speak && remainder) {
+      speechQueue.add(remainder);
+    }
     
-    // Send AI response back to client immediately for fast feedback
-    socket.emit('ai-response', {
+    // Send the complete answer so the devices can replace the streamed text
+    table.emit('ai-response', room.record('ai-response', {
+      responseId,
       question: transcribedText,
       answer: response,
+      citations,
+      grounded,
+      cached,
+      offline,
+      gameId,
+      language,
+      spoken: speak,
       timestamp: new Date().toISOString()
-    });
+    }));
     
-    console.log('AI Response:', response);
+    logger.debug('Answer sent', { responseId, cached, answer: response });
+
+    sessionHistory.record(room.historyId, 'answer', {
+      question: transcribedText,
+      answer: response,
+      citations,
+      grounded,
+      gameId,
+      sets: tableState.sets,
+      houseRules: tableState.houseRules,
+      language,
+      cached,
+      offline,
+      spoken: speak
+    });
+
+    // The answer may have recorded a spoken change such as "Alex is now level 7"
+    if (tableState.version !== tableVersion) {
+      table.emit('table-state', tableState.toJSON());
+    }
     
-    // Generate TTS audio in parallel (don't await to avoid blocking)
-    generateTTSAudio(response, socket).catch(error => {
-      console.error('Background TTS generation failed:', error);
+    // Let queued TTS finish in the background (don't await to avoid blocking)
+    speechQueue.drain().then(() => {
+      logger.debug('Speech sent', { responseId });
     });
     
   } catch (error) {
-    console.error('Question processing error:', error);
+    logger.error('Question processing failed', { error });
     socket.emit('error', { message: 'Failed to process your question' });
   }
 }
 
 /**
- * Process audio buffer through OpenAI Whisper
+ * Transcribe one utterance with the configured speech-to-text provider
+ * @param {Object} client - Client the utterance came from, from queueForClient()
  */
-async function transcribeAudio(audioBuffer, socket) {
-  const tempFilePath = path.join(__dirname, `temp_audio_${socket.id}.webm`);
-  
+async function transcribeAudio(audioBuffer, client) {
   try {
-    // Set processing flag to prevent concurrent transcriptions
-    clientProcessingFlags.set(socket.id, true);
     // Validate audio buffer
-    console.log(`Processing ${audioBuffer.length} audio chunks for transcription`);
     const totalBytes = audioBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
-    console.log(`Total audio data: ${totalBytes} bytes`);
+    logger.debug('Transcribing utterance', { chunks: audioBuffer.length, bytes: totalBytes });
     
     // Ensure all chunks are valid Buffers
     const validBuffers = audioBuffer.filter(chunk => Buffer.isBuffer(chunk) && chunk.length > 0);
@@ -136,110 +487,351 @@ async function transcribeAudio(audioBuffer, socket) {
       throw new Error('No valid audio data to process');
     }
     
-    // Write audio buffer to temporary file
-    const combinedBuffer = Buffer.concat(validBuffers);
-    fs.writeFileSync(tempFilePath, combinedBuffer);
-    
-    // Verify file was created and has content
-    const fileStats = fs.statSync(tempFilePath);
-    console.log(`Created temporary audio file: ${fileStats.size} bytes`);
-    
-    // Transcribe with OpenAI Whisper
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: process.env.OPENAI_WHISPER_MODEL || 'whisper-1',
-      language: 'en'
-    });
+    // Automatic tables have the provider detect the language
+    const audio = Buffer.concat(validBuffers);
+    const { text, language } = await transcribe(audio, audioFilename(audio), client.room.tableState.language);
     
     // Send transcription back to client and process as question
-    if (transcription.text.trim()) {
-      socket.emit('transcription', {
-        text: transcription.text,
-        timestamp: new Date().toISOString()
-      });
-      
-      console.log('Transcribed:', transcription.text);
-      
-      // Process transcribed text as a Munchkin question
-      await processQuestion(transcription.text, socket);
+    if (text) {
+      logger.info('Transcribed', { text, language });
+      await handleTranscript(text, client, language);
+    } else {
+      client.listening.cancelCapture();
     }
     
   } catch (error) {
-    console.error('Transcription error:', error);
-    socket.emit('error', { message: 'Transcription failed' });
+    logger.error('Transcription failed', { error });
+    client.listening.cancelCapture();
+    client.socket.emit('error', { message: 'Transcription failed' });
+  }
+}
+
+/**
+ * Route a transcript through the wake-word state machine: in wake-word mode table
+ * chatter is ignored, and only speech after "Hey Hexpert" is answered as a question
+ * @param {string} detectedLanguage - Language the speech-to-text provider heard, if any
+ */
+async function handleTranscript(text, client, detectedLanguage = null) {
+  const { listening } = client;
+  const wakeWord = detectWakeWord(text);
+  if (wakeWord.detected) {
+    logger.debug('Wake word detected');
+    listening.wake();
+  }
+
+  const question = wakeWord.detected ? wakeWord.remainder : text;
+  const isQuestion = question.length > 0 && listening.acceptsQuestion();
+
+  emitTranscription(client.room, {
+    text,
+    question: isQuestion ? question : null,
+    wakeWordDetected: wakeWord.detected,
+    ignored: !isQuestion && !wakeWord.detected,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!isQuestion) {
+    // A bare wake phrase leaves the client armed for the next utterance
+    listening.cancelCapture();
+    return;
+  }
+
+  // Process transcribed text as a question for the selected game
+  await answerClientQuestion(question, client, { detectedLanguage });
+}
+
+/**
+ * Answer a question typed into the web UI, skipping transcription and the wake word
+ * @param {Object} options - Delivery options passed to processQuestion()
+ */
+async function handleTypedQuestion(text, client, options) {
+  emitTranscription(client.room, {
+    text,
+    question: text,
+    typed: true,
+    wakeWordDetected: false,
+    ignored: false,
+    timestamp: new Date().toISOString()
+  });
+
+  await answerClientQuestion(text, client, options);
+}
+
+/**
+ * Show what a device heard or had typed to every device at its table
+ */
+function emitTranscription(room, transcription) {
+  io.to(room.channel).emit('transcription', room.record('transcription', transcription));
+  sessionHistory.record(room.historyId, 'transcription', transcription);
+}
+
+/**
+ * Answer a client's question, marking the client as answering meanwhile
+ */
+async function answerClientQuestion(question, client, options = {}) {
+  client.listening.startAnswering();
+  try {
+    await processQuestion(question, client, options);
   } finally {
-    // Clear processing flag
-    clientProcessingFlags.set(socket.id, false);
-    
-    // Always clean up temporary file, regardless of success or failure
-    try {
-      if (fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-        console.log('Cleaned up temporary audio file');
-      }
-    } catch (cleanupError) {
-      console.error('Failed to clean up temporary file:', cleanupError);
-    }
+    client.listening.finishAnswering();
+  }
+}
+
+/**
+ * Run a client's question after any earlier ones from the same table,
+ * so answers come back in the order the questions were asked. The question
+ * stays with the table it was asked at: it is answered there even if the
+ * asking device disconnects or moves to another table before its turn.
+ * @param {Function} task - Called with the client: { socket, room, listening }
+ */
+function queueForClient(socket, task) {
+  const room = tableRooms.forSocket(socket.id);
+  const listening = clientListeningStates.get(socket.id);
+  return room && listening ? room.queue(() => task({ socket, room, listening })) : Promise.resolve();
+}
+
+/**
+ * Start a new table room with the default game
+ * @returns {TableRoom} - New room
+ */
+function createRoom() {
+  const gameId = gameRegistry.defaultGameId;
+  const room = tableRooms.create(gameId, gameRegistry.get(gameId).defaultSets());
+  room.historyId = sessionHistory.startSession({ code: room.code, gameId });
+  return room;
+}
+
+/**
+ * Tell every device at a table who is there and which device is the speaker
+ */
+function emitRoomState(room) {
+  io.to(room.channel).emit('room-state', room.toJSON());
+}
+
+/**
+ * Move a socket into a table room and bring it up to date: the room, its game,
+ * its table state and the transcript events it has not seen yet
+ * @param {number} since - Last transcript sequence number the device saw
+ */
+function joinRoom(socket, room, since = 0) {
+  const previous = tableRooms.forSocket(socket.id);
+  if (previous) {
+    socket.leave(previous.channel);
+  }
+  tableRooms.join(room, socket.id, socket.data.deviceId);
+  socket.join(room.channel);
+  logger.info('Client joined table', { socketId: socket.id, table: room.code });
+
+  socket.emit('room-joined', room.toJSON());
+  socket.emit('game-selected', gameRegistry.get(room.gameId).getGameInfo());
+  socket.emit('table-state', room.tableState.toJSON());
+  room.eventsSince(since).forEach(({ type, data }) => socket.emit(type, { ...data, replayed: true }));
+
+  if (previous && previous !== room) {
+    emitRoomState(previous);
   }
+  emitRoomState(room);
+}
+
+/**
+ * Log fields for one utterance or typed question from a client: a new
+ * correlation id, which every line logged while handling it carries
+ */
+function questionLogContext({ socket, room }) {
+  return { correlationId: crypto.randomUUID(), socketId: socket.id, table: room.code };
+}
+
+/**
+ * Transcribe an utterance after any earlier questions from the same client
+ */
+function queueTranscription(chunks, socket) {
+  return queueForClient(socket, client => withLogContext(questionLogContext(client), () => transcribeAudio(chunks, client)));
 }
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  logger.info('Client connected', { socketId: socket.id });
   
-  // Initialize audio buffer and processing flag for this client
-  clientAudioBuffers.set(socket.id, []);
-  clientProcessingFlags.set(socket.id, false);
+  // Initialize listening state for this client
+  const emitListeningState = (state, previousState = null) => {
+    socket.emit('listening-state', {
+      state,
+      previousState,
+      captureMode: listening.captureMode,
+      wakeWordRequired: listening.wakeWordRequired
+    });
+  };
+  const listening = new ListeningStateMachine(emitListeningState);
+  clientListeningStates.set(socket.id, listening);
+  emitListeningState(listening.state);
 
-  // Handle audio stream from client
-  socket.on('audio-stream', (audioData) => {
-    console.log('Received audio data from client');
-    
-    // Check if already processing to prevent concurrent transcriptions
-    const isProcessing = clientProcessingFlags.get(socket.id) || false;
-    if (isProcessing) {
-      console.log('Skipping audio chunk - transcription in progress');
+  // A reconnecting device rejoins its table and catches up on what it missed;
+  // otherwise it starts a table of its own that other devices can join by code
+  const { roomCode, deviceId, since } = socket.handshake.auth || {};
+  socket.data.deviceId = typeof deviceId === 'string' && deviceId ? deviceId : socket.id;
+  const previousRoom = tableRooms.get(roomCode);
+  if (roomCode && !previousRoom) {
+    socket.emit('error', { message: `Table ${roomCode} has closed, so a new one was started` });
+  }
+  joinRoom(socket, previousRoom || createRoom(), previousRoom ? Number(since) || 0 : 0);
+
+  // Join another device's table by its code
+  socket.on('join-room', (data) => {
+    const room = tableRooms.get(data && data.code);
+    if (!room) {
+      socket.emit('error', { message: `No table with code ${data && data.code}` });
       return;
     }
-    
-    // Get client's audio buffer
-    const audioBuffer = clientAudioBuffers.get(socket.id) || [];
-    
+    if (room !== tableRooms.forSocket(socket.id)) {
+      joinRoom(socket, room);
+    }
+  });
+
+  // Leave the shared table for a new table of this device's own
+  socket.on('leave-room', () => {
+    joinRoom(socket, createRoom());
+  });
+
+  // Play the table's spoken answers on this device
+  socket.on('claim-speaker', () => {
+    const room = tableRooms.forSocket(socket.id);
+    room.speakerDeviceId = socket.data.deviceId;
+    logger.info('Speaker changed', { socketId: socket.id, table: room.code });
+    emitRoomState(room);
+  });
+
+  // Handle game selection from any device's game selector
+  socket.on('select-game', (data) => {
+    const gameId = data && data.gameId;
+    if (!gameRegistry.has(gameId)) {
+      socket.emit('error', { message: `Unknown game: ${gameId}` });
+      return;
+    }
+
+    const room = tableRooms.forSocket(socket.id);
+    const table = io.to(room.channel);
+
+    // Earlier questions and the table were about a different game, so start fresh
+    if (room.gameId !== gameId) {
+      conversationMemory.clear(room.sessionId);
+      room.tableState.clear(gameRegistry.get(gameId).defaultSets());
+      table.emit('table-state', room.tableState.toJSON());
+      sessionHistory.record(room.historyId, 'game-selected', { gameId });
+    }
+
+    room.gameId = gameId;
+    logger.info('Game selected', { table: room.code, gameId });
+    table.emit('game-selected', gameRegistry.get(gameId).getGameInfo());
+  });
+
+  // Handle audio stream from client: chunks of the utterance currently being spoken
+  socket.on('audio-stream', (audioData) => {
     // Ensure audioData is properly converted to Buffer
     const audioChunk = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData);
-    
-    // Add new audio chunk to buffer
-    audioBuffer.push(audioChunk);
-    clientAudioBuffers.set(socket.id, audioBuffer);
-    
-    // Process transcription every 2 seconds of audio data (approximately 20 chunks at 100ms each)
-    if (audioBuffer.length >= 20) {
-      // Process current buffer (make a shallow copy to avoid reference issues)
-      const bufferCopy = [...audioBuffer];
-      
-      // Clear buffer for next batch BEFORE processing to avoid race conditions
-      clientAudioBuffers.set(socket.id, []);
-      
-      // Process the copied buffer
-      transcribeAudio(bufferCopy, socket);
+    utteranceSegmenter.push(socket.id, audioChunk);
+
+    // Speech after the wake phrase is the question being captured
+    listening.startCapture();
+  });
+
+  // Client's voice activity detection heard the end of the utterance
+  socket.on('audio-utterance-end', () => {
+    utteranceSegmenter.end(socket.id);
+  });
+
+  // Client decided the buffered audio was not speech after all
+  socket.on('audio-utterance-cancel', () => {
+    utteranceSegmenter.discard(socket.id);
+  });
+
+  // Question typed into the web UI: { text, speak }
+  socket.on('ask-text', (data) => {
+    const text = data && typeof data.text === 'string' ? data.text.trim() : '';
+    if (!text) {
+      socket.emit('error', { message: 'Type a question first' });
+      return;
+    }
+
+    queueForClient(socket, client => withLogContext(questionLogContext(client),
+      () => handleTypedQuestion(text, client, { speak: data.speak !== false })));
+  });
+
+  // Forget earlier questions so the next one starts a new conversation
+  socket.on('reset-conversation', () => {
+    const room = tableRooms.forSocket(socket.id);
+    conversationMemory.clear(room.sessionId);
+    logger.info('Conversation reset', { table: room.code });
+    sessionHistory.record(room.historyId, 'conversation-reset', {});
+    io.to(room.channel).emit('conversation-reset', { timestamp: new Date().toISOString() });
+  });
+
+  // Edits made to the table in the web UI, in the same form the game expert uses
+  socket.on('update-table-state', (changes) => {
+    const room = tableRooms.forSocket(socket.id);
+    try {
+      room.tableState.applyChanges(changes || {});
+    } catch (error) {
+      socket.emit('error', { message: error.message });
     }
+    io.to(room.channel).emit('table-state', room.tableState.toJSON());
   });
 
-  // Handle wake word detection
+  // Language chosen in the web UI: { language } as a code or "auto"
+  socket.on('select-language', (data) => {
+    const room = tableRooms.forSocket(socket.id);
+    try {
+      room.tableState.selectLanguage(validateLanguage(data && data.language));
+      logger.info('Language selected', { table: room.code, language: room.tableState.language });
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+    io.to(room.channel).emit('table-state', room.tableState.toJSON());
+  });
+
+  // Editions and expansions in play chosen in the web UI: { sets: [ids] }
+  socket.on('select-sets', (data) => {
+    const room = tableRooms.forSocket(socket.id);
+    try {
+      room.tableState.selectSets(gameRegistry.get(room.gameId).resolveSets(data && data.sets));
+      logger.info('Sets selected', { table: room.code, sets: room.tableState.sets });
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+    io.to(room.channel).emit('table-state', room.tableState.toJSON());
+  });
+
+  // Capture mode chosen on this device: { mode } as continuous, wake-word or push-to-talk
+  socket.on('select-capture-mode', (data) => {
+    try {
+      listening.setCaptureMode(data && data.mode);
+      logger.debug('Capture mode selected', { socketId: socket.id, captureMode: listening.captureMode });
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Handle wake word triggered from the client (e.g. the "Hey Hexpert" button)
   socket.on('wake-word-detected', () => {
-    console.log('Wake word "Hey Hexpert" detected');
-    // TODO: Prepare for incoming question
+    logger.debug('Wake word triggered by client', { socketId: socket.id });
+    listening.wake();
   });
 
   socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    // Clean up client audio buffer and processing flag
-    clientAudioBuffers.delete(socket.id);
-    clientProcessingFlags.delete(socket.id);
+    logger.info('Client disconnected', { socketId: socket.id });
+    // Clean up client audio and transcription queue
+    utteranceSegmenter.discard(socket.id);
+    listening.dispose();
+    clientListeningStates.delete(socket.id);
+
+    // The table, its conversation and transcript stay for the other devices and for reconnects
+    const room = tableRooms.leave(socket.id);
+    if (room) {
+      emitRoomState(room);
+    }
   });
 });
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`Hexpert server running on port ${PORT}`);
+  logger.info('Hexpert server running', { port: Number(PORT) });
 });
\ No newline at end of file
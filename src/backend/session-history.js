@@ -0,0 +1,200 @@
+/**
+ * Session History
+ * Persists each table session's transcriptions, questions and answers to a
+ * JSON-lines file, so past rulings can be browsed and exported after game night
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '../../data/history');
+
+// Session ids are generated here; anything else is rejected before touching the disk
+const SESSION_ID_PATTERN = /^[0-9TZ-]+-[A-Z0-9]+$/;
+
+class SessionHistory {
+  /**
+   * @param {string} directory - Folder the session files are written to
+   */
+  constructor(directory = HISTORY_DIR) {
+    this.directory = directory;
+    // Headers of sessions with nothing recorded yet, so idle tables leave no files
+    this.pendingHeaders = new Map();
+    // Appends per session, chained so lines land in order
+    this.writes = new Map();
+  }
+
+  /**
+   * Start a session; its file is created when the first event is recorded
+   * @param {Object} details - Session details
+   * @param {string} details.code - Table room code
+   * @param {string} details.gameId - Game being played
+   * @returns {string} - Session id
+   */
+  startSession({ code, gameId }) {
+    const startedAt = new Date().toISOString();
+    const sessionId = `${startedAt.replace(/[:.]/g, '-')}-${code}`;
+    this.pendingHeaders.set(sessionId, { type: 'session-start', code, gameId, timestamp: startedAt });
+    return sessionId;
+  }
+
+  /**
+   * Append an event to a session's file
+   * @param {string} sessionId - Id from startSession()
+   * @param {string} type - Event type, e.g. "transcription" or "answer"
+   * @param {Object} data - Event details; a timestamp is added if missing
+   * @returns {Promise} - Resolves once written; write errors are logged, not thrown
+   */
+  record(sessionId, type, data) {
+    const lines = [];
+    if (this.pendingHeaders.has(sessionId)) {
+      lines.push(this.pendingHeaders.get(sessionId));
+      this.pendingHeaders.delete(sessionId);
+    }
+    lines.push({ type, timestamp: new Date().toISOString(), ...data });
+
+    const text = lines.map(line => `${JSON.stringify(line)}\n`).join('');
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const write = previous
+      .then(() => fs.promises.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.promises.appendFile(this.filePath(sessionId), text))
+      .catch(error => logger.error('Failed to save session history', { sessionId, error: error.message }));
+
+    this.writes.set(sessionId, write);
+    write.then(() => {
+      if (this.writes.get(sessionId) === write) {
+        this.writes.delete(sessionId);
+      }
+    });
+    return write;
+  }
+
+  /**
+   * Forget a session that never recorded anything
+   * @param {string} sessionId - Session id
+   */
+  endSession(sessionId) {
+    this.pendingHeaders.delete(sessionId);
+  }
+
+  /**
+   * Path of a session's file
+   */
+  filePath(sessionId) {
+    return path.join(this.directory, `${sessionId}.jsonl`);
+  }
+
+  /**
+   * Summaries of every saved session, newest first
+   * @returns {Array<Object>} - { id, code, gameId, startedAt, lastActivityAt, questions }
+   */
+  async listSessions() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => this.getSession(path.basename(file, '.jsonl'))));
+
+    return sessions
+      .filter(Boolean)
+      .map(({ id, code, gameId, startedAt, events }) => ({
+        id,
+        code,
+        gameId,
+        startedAt,
+        lastActivityAt: events.length > 0 ? events[events.length - 1].timestamp : startedAt,
+        questions: events.filter(event => event.type === 'answer').length
+      }))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Load a saved session
+   * @param {string} sessionId - Session id
+   * @returns {Object|null} - { id, code, gameId, startedAt, events }, or null if there is no such session
+   */
+  async getSession(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    let text;
+    try {
+      text = await fs.promises.readFile(this.filePath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    // A line cut short by a crash is skipped rather than losing the whole session
+    const lines = text.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+    const header = lines.find(line => line.type === 'session-start') || {};
+
+    return {
+      id: sessionId,
+      code: header.code || null,
+      gameId: header.gameId || null,
+      startedAt: header.timestamp || (lines[0] && lines[0].timestamp) || null,
+      events: lines.filter(line => line.type !== 'session-start')
+    };
+  }
+
+  /**
+   * Render a session as Markdown for sharing
+   * @param {Object} session - Session from getSession()
+   * @returns {string} - Markdown document
+   */
+  toMarkdown(session) {
+    const lines = [
+      `# Hexpert session at table ${session.code}`,
+      '',
+      `Started ${session.startedAt}${session.gameId ? ` playing ${session.gameId}` : ''}.`,
+      ''
+    ];
+
+    session.events.forEach(event => {
+      if (event.type === 'transcription' && event.ignored) {
+        lines.push(`- _${event.timestamp} (not a question):_ ${event.text}`, '');
+      } else if (event.type === 'answer') {
+        lines.push(`## ${event.question}`, '', `_${event.timestamp}${event.offline ? ' (offline answer)' : ''}_`, '', event.answer, '');
+        if (event.citations && event.citations.length > 0) {
+          lines.push('Sources:', '');
+          event.citations.forEach(citation => {
+            lines.push(`- ${citation.heading || citation.source} (${citation.source})`);
+          });
+          lines.push('');
+        }
+        if (event.houseRules && event.houseRules.length > 0) {
+          lines.push('House rules in play:', '');
+          event.houseRules.forEach((rule, i) => lines.push(`${i + 1}. ${rule}`));
+          lines.push('');
+        }
+      } else if (event.type === 'game-selected') {
+        lines.push(`_${event.timestamp}: switched to ${event.gameId}_`, '');
+      } else if (event.type === 'conversation-reset') {
+        lines.push(`_${event.timestamp}: new conversation_`, '');
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = SessionHistory;
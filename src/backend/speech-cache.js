@@ -0,0 +1,208 @@
+/**
+ * Speech Cache
+ * Keeps synthesized audio by text and voice, so sentences spoken before (cached
+ * answers, "Monsters win ties.") play without another TTS request. Recent clips
+ * stay in memory; every clip is also saved to disk, which is trimmed back to
+ * its size limit by dropping the clips used least recently.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LruCache = require('./lru-cache');
+const { logger } = require('./logger');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '../../data/cache');
+
+const MEGABYTE = 1024 * 1024;
+
+// Audio kept in memory, and on disk
+const MAX_MEMORY_BYTES = (parseInt(process.env.TTS_CACHE_MEMORY_MB, 10) || 32) * MEGABYTE;
+const MAX_DISK_BYTES = (parseInt(process.env.TTS_CACHE_DISK_MB, 10) || 256) * MEGABYTE;
+
+// Trimming the disk cache goes this far below the limit, so it doesn't run on every write
+const DISK_TRIM_RATIO = 0.9;
+
+class SpeechCache {
+  /**
+   * @param {Object} options - Cache settings
+   * @param {string} options.directory - Folder clips are saved in; null to keep them in memory only
+   * @param {number} options.maxMemoryBytes - Most audio kept in memory
+   * @param {number} options.maxDiskBytes - Most audio kept on disk
+   */
+  constructor({ directory = path.join(CACHE_DIR, 'speech'), maxMemoryBytes = MAX_MEMORY_BYTES, maxDiskBytes = MAX_DISK_BYTES } = {}) {
+    this.directory = directory;
+    this.maxDiskBytes = maxDiskBytes;
+    this.memory = new LruCache({ maxEntries: Infinity, maxBytes: maxMemoryBytes, sizeOf: audio => audio.length });
+    // Syntheses in flight, so the same sentence asked for twice is only synthesized once
+    this.pending = new Map();
+    this.diskBytes = 0;
+    this.memoryHits = 0;
+    this.diskHits = 0;
+    this.misses = 0;
+
+    if (this.directory) {
+      this.trimDisk();
+    }
+  }
+
+  /**
+   * Key for a piece of text in one voice
+   * @param {string} text - Text spoken
+   * @param {string} voice - Provider, model and voice that speak it
+   */
+  key(text, voice) {
+    return crypto.createHash('sha256').update(`${voice}\n${text}`).digest('hex');
+  }
+
+  /**
+   * Path of a saved clip
+   */
+  filePath(key) {
+    return path.join(this.directory, `${key}.mp3`);
+  }
+
+  /**
+   * Get the audio for a piece of text from the cache, or synthesize and cache it
+   * @param {string} text - Text to speak
+   * @param {string} voice - Provider, model and voice that speak it
+   * @param {Function} synthesize - (text) => MP3 Buffer, called on a miss
+   * @returns {Promise<Buffer>} - MP3 audio
+   */
+  async getOrSynthesize(text, voice, synthesize) {
+    const key = this.key(text, voice);
+
+    const cached = this.memory.peek(key);
+    if (cached) {
+      this.memory.get(key);
+      this.memoryHits++;
+      return cached;
+    }
+
+    if (!this.pending.has(key)) {
+      const lookup = this.readDisk(key)
+        .then(async audio => {
+          if (audio) {
+            this.diskHits++;
+          } else {
+            this.misses++;
+            audio = await synthesize(text);
+            this.writeDisk(key, audio);
+          }
+          this.memory.set(key, audio);
+          return audio;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, lookup);
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Read a saved clip, marking it as recently used
+   * @returns {Promise<Buffer|null>} - Audio, or null if it isn't saved
+   */
+  async readDisk(key) {
+    if (!this.directory) {
+      return null;
+    }
+
+    try {
+      const audio = await fs.promises.readFile(this.filePath(key));
+      const now = new Date();
+      fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+      return audio;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read cached speech', { error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save a clip in the background, trimming the disk cache when it grows past its limit
+   */
+  writeDisk(key, audio) {
+    if (!this.directory) {
+      return;
+    }
+
+    fs.promises.mkdir(this.directory, { recursive: true })
+      .then(() => fs.promises.writeFile(this.filePath(key), audio))
+      .then(() => {
+        this.diskBytes += audio.length;
+        if (this.diskBytes > this.maxDiskBytes) {
+          return this.trimDisk();
+        }
+      })
+      .catch(error => logger.error('Failed to save cached speech', { error: error.message }));
+  }
+
+  /**
+   * Measure the disk cache and delete the least recently used clips while it is over its limit
+   * @returns {Promise} - Resolves once trimmed; errors are logged, not thrown
+   */
+  async trimDisk() {
+    try {
+      const files = await Promise.all((await fs.promises.readdir(this.directory))
+        .filter(file => file.endsWith('.mp3'))
+        .map(async file => {
+          const { size, mtimeMs } = await fs.promises.stat(path.join(this.directory, file));
+          return { file, size, mtimeMs };
+        }));
+
+      files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      this.diskBytes = files.reduce((sum, file) => sum + file.size, 0);
+      if (this.diskBytes <= this.maxDiskBytes) {
+        return;
+      }
+
+      for (const { file, size } of files) {
+        if (this.diskBytes <= this.maxDiskBytes * DISK_TRIM_RATIO) {
+          break;
+        }
+        await fs.promises.unlink(path.join(this.directory, file));
+        this.diskBytes -= size;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to trim the speech cache', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Drop every cached clip, in memory and on disk
+   * @returns {Promise} - Resolves once the saved clips are deleted
+   */
+  async clear() {
+    this.memory.clear();
+    if (!this.directory) {
+      return;
+    }
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+    this.diskBytes = 0;
+  }
+
+  /**
+   * Hit and miss counters for metrics; a hit is served from memory or disk
+   * @returns {Object} - { entries, memoryBytes, diskBytes, hits, memoryHits, diskHits, misses, hitRate }
+   */
+  stats() {
+    const hits = this.memoryHits + this.diskHits;
+    const lookups = hits + this.misses;
+    return {
+      entries: this.memory.entries.size,
+      memoryBytes: this.memory.bytes,
+      diskBytes: this.diskBytes,
+      hits,
+      memoryHits: this.memoryHits,
+      diskHits: this.diskHits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? hits / lookups : 0
+    };
+  }
+}
+
+module.exports = SpeechCache;
@@ -0,0 +1,223 @@
+/**
+ * Table Rooms
+ * Groups the devices at one table under a short join code so they share the
+ * game, table state, conversation and transcript, with one device chosen to
+ * speak the answers
+ */
+
+const crypto = require('crypto');
+const TableState = require('./table-state');
+
+// Join code alphabet, without look-alikes such as 0/O and 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+// Transcript events kept for devices catching up after a reconnect
+const HISTORY_LIMIT = parseInt(process.env.TABLE_ROOM_HISTORY, 10) || 100;
+
+// How long a room with no devices is kept so they can reconnect to it
+const IDLE_TIMEOUT_MS = parseInt(process.env.TABLE_ROOM_IDLE_MS, 10) || 30 * 60 * 1000;
+
+class TableRoom {
+  /**
+   * @param {string} code - Join code
+   * @param {string} gameId - Game the table starts with
+   * @param {Array<string>} sets - Editions and expansions the table starts with
+   */
+  constructor(code, gameId, sets) {
+    this.code = code;
+    this.gameId = gameId;
+    this.tableState = new TableState();
+    this.tableState.selectSets(sets);
+    // Connected sockets by id, each with the device it belongs to
+    this.members = new Map();
+    // Device that plays spoken answers; the first device to join until another claims it
+    this.speakerDeviceId = null;
+    this.history = [];
+    this.sequence = 0;
+    // Questions from every device are answered one at a time, in order
+    this.questionQueue = Promise.resolve();
+    this.idleTimer = null;
+    // Saved session history id, set by whoever creates the room
+    this.historyId = null;
+  }
+
+  /**
+   * Socket.IO room name for broadcasting to every device at the table
+   */
+  get channel() {
+    return `table:${this.code}`;
+  }
+
+  /**
+   * Conversation memory key shared by every device at the table
+   */
+  get sessionId() {
+    return `room:${this.code}`;
+  }
+
+  /**
+   * Record a transcript event so reconnecting devices can catch up
+   * @param {string} type - Socket event name, e.g. "transcription" or "ai-response"
+   * @param {Object} data - Event payload
+   * @returns {Object} - The payload with its sequence number added
+   */
+  record(type, data) {
+    const event = { ...data, sequence: ++this.sequence };
+    this.history.push({ type, data: event });
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+    return event;
+  }
+
+  /**
+   * Transcript events a device has not seen yet
+   * @param {number} sequence - Last sequence number the device saw; 0 for everything kept
+   * @returns {Array<Object>} - Events as { type, data }, oldest first
+   */
+  eventsSince(sequence = 0) {
+    return this.history.filter(event => event.data.sequence > sequence);
+  }
+
+  /**
+   * Run a task after every earlier question at the table
+   * @param {Function} task - Async task
+   */
+  queue(task) {
+    const next = this.questionQueue.then(task);
+    // A failed task must not block the questions after it
+    this.questionQueue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Socket id of the speaker device, if it is connected
+   * @returns {string|null} - Socket id
+   */
+  speakerSocketId() {
+    for (const [socketId, deviceId] of this.members) {
+      if (deviceId === this.speakerDeviceId) {
+        return socketId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Public view of the room for its devices
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      devices: new Set(this.members.values()).size,
+      speakerDeviceId: this.speakerDeviceId,
+      speakerConnected: this.speakerSocketId() !== null
+    };
+  }
+}
+
+class TableRooms {
+  /**
+   * @param {Object} options - Room lifetime settings
+   * @param {number} options.idleTimeoutMs - How long an empty room is kept
+   * @param {Function} options.onExpire - Called with a room when it is deleted
+   */
+  constructor({ idleTimeoutMs = IDLE_TIMEOUT_MS, onExpire = () => {} } = {}) {
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.onExpire = onExpire;
+    this.rooms = new Map();
+    this.socketRooms = new Map();
+  }
+
+  /**
+   * Create a room with an unused join code
+   * @param {string} gameId - Game the table starts with
+   * @param {Array<string>} sets - Editions and expansions the table starts with
+   * @returns {TableRoom} - New room
+   */
+  create(gameId, sets) {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (this.rooms.has(code));
+
+    const room = new TableRoom(code, gameId, sets);
+    this.rooms.set(code, room);
+    return room;
+  }
+
+  /**
+   * Find a room by join code, ignoring case and surrounding spaces
+   * @param {string} code - Join code
+   * @returns {TableRoom|null} - Room, or null if there is none
+   */
+  get(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+    return this.rooms.get(code.trim().toUpperCase()) || null;
+  }
+
+  /**
+   * Room a socket is currently in
+   * @param {string} socketId - Socket id
+   * @returns {TableRoom|null} - Room, or null before the socket joins one
+   */
+  forSocket(socketId) {
+    return this.socketRooms.get(socketId) || null;
+  }
+
+  /**
+   * Add a socket to a room, leaving its previous room
+   * @param {TableRoom} room - Room to join
+   * @param {string} socketId - Socket id
+   * @param {string} deviceId - Stable id of the device, kept across reconnects
+   */
+  join(room, socketId, deviceId) {
+    this.leave(socketId);
+
+    clearTimeout(room.idleTimer);
+    room.idleTimer = null;
+    room.members.set(socketId, deviceId);
+    if (!room.speakerDeviceId) {
+      room.speakerDeviceId = deviceId;
+    }
+    this.socketRooms.set(socketId, room);
+  }
+
+  /**
+   * Remove a socket from its room; a room left empty expires after the idle timeout
+   * @param {string} socketId - Socket id
+   * @returns {TableRoom|null} - The room it left
+   */
+  leave(socketId) {
+    const room = this.socketRooms.get(socketId);
+    if (!room) {
+      return null;
+    }
+
+    room.members.delete(socketId);
+    this.socketRooms.delete(socketId);
+
+    if (room.members.size === 0) {
+      room.idleTimer = setTimeout(() => this.expire(room), this.idleTimeoutMs);
+      room.idleTimer.unref();
+    }
+    return room;
+  }
+
+  /**
+   * Delete an empty room
+   * @param {TableRoom} room - Room to delete
+   */
+  expire(room) {
+    if (room.members.size > 0 || this.rooms.get(room.code) !== room) {
+      return;
+    }
+    this.rooms.delete(room.code);
+    this.onExpire(room);
+  }
+}
+
+module.exports = { TableRooms, TableRoom };
@@ -0,0 +1,251 @@
+/**
+ * Table State
+ * The state of the game being played at one table (players, levels, race/class,
+ * equipped gear, whose turn it is, the group's house rules, the editions and
+ * expansions in play and the language spoken), updated by voice through the game
+ * expert and by hand from the web UI
+ */
+
+const { DEFAULT_LANGUAGE } = require('./languages');
+
+// Lowest level a player can drop to
+const MIN_LEVEL = 1;
+
+// Longest house rule accepted, to keep the prompt bounded
+const MAX_HOUSE_RULE_LENGTH = 300;
+
+class TableState {
+  /**
+   * @param {string} language - Language setting, a code or "auto" (see languages.js)
+   */
+  constructor(language = DEFAULT_LANGUAGE) {
+    this.players = [];
+    this.currentTurn = null;
+    this.houseRules = [];
+    // Edition and expansion ids, checked by the game expert's resolveSets()
+    this.sets = [];
+    this.language = language;
+    // Bumped on every change so callers can tell whether an answer updated the table
+    this.version = 0;
+  }
+
+  /**
+   * Find a player by name, ignoring case
+   * @param {string} name - Player name
+   * @returns {Object|null} - Player, or null if nobody at the table has that name
+   */
+  findPlayer(name) {
+    const key = String(name || '').trim().toLowerCase();
+    return this.players.find(player => player.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Apply a batch of changes, adding players the first time they are mentioned
+   * @param {Object} changes - Changes to make
+   * @param {Array<Object>} changes.updates - Per-player updates as { player, rename, level, levelChange,
+   *   races, classes, gear, equip, unequip, remove }; races, classes and gear replace the current lists
+   * @param {string} changes.currentTurn - Name of the player whose turn it now is
+   * @param {Array<string>} changes.addHouseRules - House rules to add
+   * @param {Array<number>} changes.removeHouseRules - 1-based numbers of house rules to remove, as listed by describeHouseRules()
+   * @returns {Array<string>} - Human-readable descriptions of what changed
+   */
+  applyChanges({ updates = [], currentTurn, addHouseRules = [], removeHouseRules = [] } = {}) {
+    const changes = [];
+
+    // A bad update part-way through still leaves the earlier ones applied, so count them
+    try {
+      updates.forEach(update => {
+        const name = String(update.player || '').trim();
+        if (!name) {
+          throw new Error('Every update needs a player name');
+        }
+
+        let player = this.findPlayer(name);
+
+        if (update.remove) {
+          if (player) {
+            this.players = this.players.filter(other => other !== player);
+            if (this.currentTurn === player.name) {
+              this.currentTurn = null;
+            }
+            changes.push(`Removed ${player.name}`);
+          }
+          return;
+        }
+
+        if (!player) {
+          player = this.addPlayer(name);
+          changes.push(`Added ${name}`);
+        }
+
+        if (update.rename && update.rename.trim() && update.rename.trim() !== player.name) {
+          const newName = update.rename.trim();
+          if (this.findPlayer(newName)) {
+            throw new Error(`There is already a player called ${newName}`);
+          }
+          if (this.currentTurn === player.name) {
+            this.currentTurn = newName;
+          }
+          changes.push(`Renamed ${player.name} to ${newName}`);
+          player.name = newName;
+        }
+
+        if (Number.isFinite(update.level) || Number.isFinite(update.levelChange)) {
+          const level = Number.isFinite(update.level) ? update.level : player.level + update.levelChange;
+          player.level = Math.max(MIN_LEVEL, Math.round(level));
+          changes.push(`${player.name} is now Level ${player.level}`);
+        }
+
+        ['races', 'classes', 'gear'].forEach(field => {
+          if (Array.isArray(update[field])) {
+            player[field] = this.cleanList(update[field]);
+            changes.push(`${player.name}'s ${field}: ${player[field].join(', ') || 'none'}`);
+          }
+        });
+
+        this.cleanList(update.equip || []).forEach(item => {
+          if (!player.gear.some(gear => gear.toLowerCase() === item.toLowerCase())) {
+            player.gear.push(item);
+            changes.push(`${player.name} equipped ${item}`);
+          }
+        });
+
+        this.cleanList(update.unequip || []).forEach(item => {
+          const before = player.gear.length;
+          player.gear = player.gear.filter(gear => gear.toLowerCase() !== item.toLowerCase());
+          if (player.gear.length < before) {
+            changes.push(`${player.name} unequipped ${item}`);
+          }
+        });
+      });
+
+      if (currentTurn !== undefined) {
+        let player = currentTurn ? this.findPlayer(currentTurn) : null;
+        if (currentTurn && !player) {
+          player = this.addPlayer(String(currentTurn).trim());
+          changes.push(`Added ${player.name}`);
+        }
+        this.currentTurn = player ? player.name : null;
+        changes.push(player ? `It is now ${player.name}'s turn` : 'Cleared whose turn it is');
+      }
+
+      // Remove before adding so the numbers refer to the list as it was shown
+      [...new Set(removeHouseRules.map(Number))]
+        .filter(number => Number.isInteger(number) && number >= 1 && number <= this.houseRules.length)
+        .sort((a, b) => b - a)
+        .forEach(number => {
+          const [removed] = this.houseRules.splice(number - 1, 1);
+          changes.push(`Removed house rule: ${removed}`);
+        });
+
+      this.cleanList(addHouseRules).forEach(rule => {
+        if (rule.length > MAX_HOUSE_RULE_LENGTH) {
+          throw new Error(`House rules must be at most ${MAX_HOUSE_RULE_LENGTH} characters`);
+        }
+        if (!this.houseRules.some(existing => existing.toLowerCase() === rule.toLowerCase())) {
+          this.houseRules.push(rule);
+          changes.push(`Added house rule: ${rule}`);
+        }
+      });
+    } finally {
+      if (changes.length > 0) {
+        this.version++;
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Seat a new player at Level 1 with no race, class or gear
+   */
+  addPlayer(name) {
+    const player = { name, level: MIN_LEVEL, races: [], classes: [], gear: [] };
+    this.players.push(player);
+    return player;
+  }
+
+  /**
+   * Trim and de-duplicate a list of names
+   */
+  cleanList(values) {
+    const seen = new Set();
+    return values
+      .map(value => String(value).trim())
+      .filter(value => {
+        const key = value.toLowerCase();
+        if (!value || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Describe the table for a system prompt
+   * @returns {string} - One line per player, or an empty string if nobody has been added
+   */
+  describe() {
+    return this.players.map(player => {
+      const traits = [...player.races, ...player.classes];
+      return `- ${player.name}${player.name === this.currentTurn ? ' (current turn)' : ''}: Level ${player.level}` +
+        `${traits.length > 0 ? `, ${traits.join(', ')}` : ''}` +
+        `; gear: ${player.gear.join(', ') || 'none'}`;
+    }).join('\n');
+  }
+
+  /**
+   * Number the house rules for a prompt or a spoken list
+   * @returns {string} - One numbered line per rule, or an empty string if there are none
+   */
+  describeHouseRules() {
+    return this.houseRules.map((rule, i) => `${i + 1}. ${rule}`).join('\n');
+  }
+
+  /**
+   * Choose the editions and expansions in play
+   * @param {Array<string>} sets - Set ids, already checked by the game expert
+   */
+  selectSets(sets) {
+    this.sets = [...sets];
+    this.version++;
+  }
+
+  /**
+   * Choose the language questions are asked and answered in; it carries over
+   * when the table switches games
+   * @param {string} language - Language code or "auto", already checked with validateLanguage()
+   */
+  selectLanguage(language) {
+    this.language = language;
+    this.version++;
+  }
+
+  /**
+   * Forget every player and house rule, e.g. when the table switches games
+   * @param {Array<string>} sets - Sets in play for the new game
+   */
+  clear(sets = []) {
+    this.players = [];
+    this.currentTurn = null;
+    this.houseRules = [];
+    this.sets = [...sets];
+    this.version++;
+  }
+
+  /**
+   * Plain copy of the state for sending to clients
+   */
+  toJSON() {
+    return {
+      players: this.players.map(player => ({ ...player, races: [...player.races], classes: [...player.classes], gear: [...player.gear] })),
+      currentTurn: this.currentTurn,
+      houseRules: [...this.houseRules],
+      sets: [...this.sets],
+      language: this.language,
+      version: this.version
+    };
+  }
+}
+
+module.exports = TableState;
@@ -0,0 +1,100 @@
+/**
+ * Utterance Segmenter
+ * Collects streamed audio chunks per client into complete utterances. The client
+ * marks the end of each utterance; an idle timeout and a size cap act as
+ * server-side endpointing for clients that never send the marker. Only the first
+ * chunk of a recording carries its WebM header, so an utterance cut off at the
+ * size cap is transcribed as far as it got and the rest of it is dropped.
+ */
+
+const { logger } = require('./logger');
+
+class UtteranceSegmenter {
+  /**
+   * @param {Function} onUtterance - Called with (clientId, Buffer[]) for each complete utterance
+   * @param {Object} options - Endpointing configuration
+   * @param {number} options.idleTimeoutMs - End the utterance after this long without new audio
+   * @param {number} options.maxBytes - End the utterance once this much audio has been buffered, dropping the rest of it
+   */
+  constructor(onUtterance, {
+    idleTimeoutMs = parseInt(process.env.UTTERANCE_IDLE_TIMEOUT_MS, 10) || 1500,
+    maxBytes = parseInt(process.env.UTTERANCE_MAX_BYTES, 10) || 1024 * 1024
+  } = {}) {
+    this.onUtterance = onUtterance;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.maxBytes = maxBytes;
+    this.utterances = new Map();
+  }
+
+  /**
+   * Append an audio chunk to the client's current utterance
+   * @param {string} clientId - Socket id
+   * @param {Buffer} chunk - Audio data
+   */
+  push(clientId, chunk) {
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      return;
+    }
+
+    let utterance = this.utterances.get(clientId);
+    if (!utterance) {
+      utterance = { chunks: [], bytes: 0, overLimit: false, idleTimer: null };
+      this.utterances.set(clientId, utterance);
+    }
+
+    clearTimeout(utterance.idleTimer);
+    if (utterance.overLimit) {
+      // The rest of an utterance already handed off: it has no header of its own
+      utterance.bytes += chunk.length;
+    } else {
+      utterance.chunks.push(chunk);
+      utterance.bytes += chunk.length;
+
+      if (utterance.bytes >= this.maxBytes) {
+        logger.warn('Utterance reached the size limit; the rest of it is dropped', { socketId: clientId, bytes: utterance.bytes });
+        this.onUtterance(clientId, utterance.chunks);
+        utterance.chunks = [];
+        utterance.overLimit = true;
+      }
+    }
+
+    utterance.idleTimer = setTimeout(() => {
+      logger.debug('No audio for a while, ending utterance', { socketId: clientId, idleMs: this.idleTimeoutMs });
+      this.end(clientId);
+    }, this.idleTimeoutMs);
+  }
+
+  /**
+   * End the client's current utterance and hand it off for transcription,
+   * unless it was already handed off at the size cap
+   * @param {string} clientId - Socket id
+   */
+  end(clientId) {
+    const utterance = this.utterances.get(clientId);
+    if (!utterance) {
+      return;
+    }
+
+    clearTimeout(utterance.idleTimer);
+    this.utterances.delete(clientId);
+    if (utterance.overLimit) {
+      logger.debug('Over-limit utterance ended', { socketId: clientId, bytes: utterance.bytes });
+      return;
+    }
+    this.onUtterance(clientId, utterance.chunks);
+  }
+
+  /**
+   * Throw away the client's current utterance without transcribing it
+   * @param {string} clientId - Socket id
+   */
+  discard(clientId) {
+    const utterance = this.utterances.get(clientId);
+    if (utterance) {
+      clearTimeout(utterance.idleTimer);
+      this.utterances.delete(clientId);
+    }
+  }
+}
+
+module.exports = UtteranceSegmenter;
@@ -0,0 +1,59 @@
+/**
+ * Wake Word Detection
+ * Finds "Hey Hexpert" in transcribed text, including the ways Whisper commonly mishears it
+ */
+
+// Separators Whisper puts between words: spaces, commas, periods, dashes
+const SEP = "[\\s,.!?'-]*";
+
+// Greetings that may precede the name ("Hey", "Hi", "Okay", or a swallowed "a")
+const GREETING = '(?:hey|hay|hei|hi|okay|ok|a)';
+
+// Mis-hearings distinctive enough to count even without a greeting
+const NAME_VARIANTS = [
+  'hexpert',
+  'hex' + SEP + 'pert',
+  'hexbert',
+  'hex' + SEP + 'bert',
+  'hexpurt',
+  'hex' + SEP + 'spurt',
+  'heck' + SEP + 'spurt',
+  'hecks' + SEP + 'pert',
+  'hex' + SEP + 'expert',
+  'hexper'
+];
+
+// Ordinary words that only count when they follow a greeting ("hey expert")
+const GREETED_VARIANTS = [
+  'expert',
+  'ex' + SEP + 'pert',
+  'x' + SEP + 'pert'
+];
+
+const WAKE_PATTERN = new RegExp(
+  `\\b(?:${GREETING}${SEP})?(?:${NAME_VARIANTS.join('|')})s?\\b` +
+  `|\\b${GREETING}${SEP}(?:${GREETED_VARIANTS.join('|')})\\b`,
+  'i'
+);
+
+/**
+ * Look for the wake phrase in a transcript
+ * @param {string} text - Transcribed speech
+ * @returns {Object} - { detected, remainder } where remainder is the speech after the wake phrase
+ */
+function detectWakeWord(text) {
+  const match = WAKE_PATTERN.exec(text || '');
+  if (!match) {
+    return { detected: false, remainder: text };
+  }
+
+  // Drop the punctuation Whisper puts right after the name ("Hey Hexpert, what...")
+  const remainder = text
+    .substring(match.index + match[0].length)
+    .replace(/^[\s,.!?-]+/, '')
+    .trim();
+
+  return { detected: true, remainder };
+}
+
+module.exports = { detectWakeWord };
@@ -0,0 +1,310 @@
+/**
+ * CLI Clients
+ * Ask a running Hexpert server a question, typed or recorded, over the same
+ * Socket.IO events the browser uses or over the REST API. Both clients emit the
+ * same events as the answer arrives (transcription, answer-chunk, answer) and
+ * resolve with the complete exchange, including the spoken answer's MP3.
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const { io } = require('socket.io-client');
+const { detectWakeWord } = require('../backend/wake-word');
+
+// Size of each audio-stream chunk; the browser sends a few kilobytes at a time
+const AUDIO_CHUNK_BYTES = 16 * 1024;
+
+// Content type of each audio file extension the server can transcribe
+const AUDIO_TYPES = {
+  webm: 'audio/webm',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac'
+};
+
+/**
+ * Make an HTTP request without extra dependencies
+ * @param {string} url - Full URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Object>} - { status, type, body } where body is a Buffer
+ */
+function request(url, { method = 'GET', headers = {}, body = null } = {}) {
+  const transport = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, { method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'] || '', body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+class HttpClient extends EventEmitter {
+  /**
+   * @param {string} serverUrl - e.g. http://localhost:3000
+   * @param {Object} options - Question options
+   * @param {string} options.gameId - Game to ask about; the server's default game if null
+   * @param {string} options.language - Language code or "auto"
+   * @param {string} options.sessionId - Session shared with earlier questions, so follow-ups keep their context
+   * @param {boolean} options.speak - Also fetch the answer's speech
+   */
+  constructor(serverUrl, { gameId = null, language = null, sessionId = null, speak = false } = {}) {
+    super();
+    this.serverUrl = serverUrl.replace(/\/$/, '');
+    this.gameId = gameId;
+    this.language = language;
+    this.sessionId = sessionId;
+    this.speak = speak;
+  }
+
+  async connect() {
+    return { transport: 'http', sessionId: this.sessionId };
+  }
+
+  /**
+   * Call a REST endpoint, turning { error } responses into exceptions
+   * @returns {Buffer|Object} - Parsed JSON, or the raw body for audio
+   */
+  async call(path, options = {}) {
+    const response = await request(`${this.serverUrl}/api${path}`, options);
+    const json = response.type.includes('application/json') ? JSON.parse(response.body.toString('utf8')) : null;
+    if (response.status >= 400) {
+      throw new Error(`${path} failed with ${response.status}: ${json && json.error ? json.error : response.body.toString('utf8').slice(0, 200)}`);
+    }
+    return json || response.body;
+  }
+
+  /**
+   * Ask a typed question
+   * @returns {Object} - { transcription, answer, audio }
+   */
+  async ask(text) {
+    const transcription = { text, question: text, typed: true, ignored: false };
+    this.emit('transcription', transcription);
+    return this.answer(text, transcription);
+  }
+
+  /**
+   * Transcribe a recording with POST /api/transcribe, then ask what was said.
+   * As on the socket, a leading "Hey Hexpert" is dropped from the question.
+   * @param {Buffer} audio - Recording
+   * @param {string} extension - webm, wav, ...
+   * @returns {Object} - { transcription, answer, audio }; answer is null when nothing was asked
+   */
+  async askAudio(audio, extension) {
+    const language = this.language ? `?language=${encodeURIComponent(this.language)}` : '';
+    const { text } = await this.call(`/transcribe${language}`, {
+      method: 'POST',
+      headers: { 'Content-Type': AUDIO_TYPES[extension] },
+      body: audio
+    });
+
+    const wakeWord = detectWakeWord(text);
+    const question = wakeWord.detected ? wakeWord.remainder : text;
+    const transcription = { text, question: question || null, wakeWordDetected: wakeWord.detected, ignored: !question };
+    this.emit('transcription', transcription);
+    return question ? this.answer(question, transcription) : { transcription, answer: null, audio: null };
+  }
+
+  async answer(question, transcription) {
+    const answer = await this.call('/ask', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question, gameId: this.gameId || undefined, language: this.language || undefined, sessionId: this.sessionId || undefined })
+    });
+    this.emit('answer-chunk', answer.answer);
+    this.emit('answer', answer);
+
+    const audio = this.speak && answer.answer
+      ? await this.call('/speak', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: answer.answer, language: answer.language })
+      })
+      : null;
+    return { transcription, answer, audio };
+  }
+
+  close() {}
+}
+
+class SocketClient extends EventEmitter {
+  /**
+   * @param {string} serverUrl - e.g. http://localhost:3000
+   * @param {Object} options - Question options
+   * @param {string} options.table - Code of a table to join; a table of the CLI's own otherwise
+   * @param {string} options.gameId - Game to select at the table
+   * @param {string} options.language - Language to select at the table: a code or "auto"
+   * @param {boolean} options.speak - Collect the spoken answer, making the CLI the table's speaker
+   * @param {number} options.timeoutMs - Longest wait for an answer
+   */
+  constructor(serverUrl, { table = null, gameId = null, language = null, speak = false, timeoutMs = 60000 } = {}) {
+    super();
+    this.serverUrl = serverUrl;
+    this.table = table;
+    this.gameId = gameId;
+    this.language = language;
+    this.speak = speak;
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.pending = null;
+    this.clips = new Map();
+  }
+
+  /**
+   * Connect, join the table and apply the game and language settings
+   * @returns {Promise<Object>} - The table joined, from the room-joined event
+   */
+  connect() {
+    this.socket = io(this.serverUrl, {
+      auth: { roomCode: this.table, deviceId: `hexpert-cli-${process.pid}` },
+      reconnection: false
+    });
+    this.listen();
+
+    return new Promise((resolve, reject) => {
+      this.socket.once('connect_error', error => reject(new Error(`Could not connect to ${this.serverUrl}: ${error.message}`)));
+      this.socket.once('room-joined', room => {
+        if (this.gameId) {
+          this.socket.emit('select-game', { gameId: this.gameId });
+        }
+        if (this.language) {
+          this.socket.emit('select-language', { language: this.language });
+        }
+        // Spoken answers go to the table's speaker device only
+        if (this.speak && this.table) {
+          this.socket.emit('claim-speaker');
+        }
+        resolve({ transport: 'socket', table: room.code });
+      });
+    });
+  }
+
+  /**
+   * Follow the table's events, settling the pending question as they arrive.
+   * Events replayed from before the CLI joined are skipped.
+   */
+  listen() {
+    this.socket.on('transcription', transcription => {
+      if (transcription.replayed || !this.pending) {
+        return;
+      }
+      this.pending.transcription = transcription;
+      this.emit('transcription', transcription);
+      // Nothing is answered when the recording held no question
+      if (!transcription.question) {
+        this.settle();
+      }
+    });
+
+    this.socket.on('ai-response-chunk', ({ delta }) => {
+      if (this.pending) {
+        this.emit('answer-chunk', delta);
+      }
+    });
+
+    this.socket.on('ai-response', response => {
+      if (response.replayed || !this.pending) {
+        return;
+      }
+      this.pending.answer = response;
+      this.emit('answer', response);
+      if (!this.speak || !response.spoken || !response.answer) {
+        this.settle();
+      }
+    });
+
+    this.socket.on('tts-audio', ({ responseId, sequence, audio }) => {
+      if (!this.clips.has(responseId)) {
+        this.clips.set(responseId, []);
+      }
+      this.clips.get(responseId)[sequence] = Buffer.from(audio, 'base64');
+    });
+
+    this.socket.on('tts-complete', ({ responseId }) => {
+      if (this.pending && this.pending.answer && this.pending.answer.responseId === responseId) {
+        this.settle();
+      }
+    });
+
+    this.socket.on('error', ({ message }) => {
+      if (this.pending) {
+        this.pending.reject(new Error(message));
+      } else {
+        this.emit('warning', message);
+      }
+    });
+
+    this.socket.on('disconnect', reason => {
+      if (this.pending) {
+        this.pending.reject(new Error(`Disconnected from the server (${reason})`));
+      }
+    });
+  }
+
+  /**
+   * Wait for the answer to the question just sent
+   * @returns {Promise<Object>} - { transcription, answer, audio }
+   */
+  waitForAnswer(what) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`No answer within ${Math.round(this.timeoutMs / 1000)} s of ${what}`));
+      }, this.timeoutMs);
+      const done = callback => value => {
+        clearTimeout(timer);
+        this.pending = null;
+        callback(value);
+      };
+      this.pending = { transcription: null, answer: null, resolve: done(resolve), reject: done(reject) };
+    });
+  }
+
+  /**
+   * Resolve the pending question with what arrived, joining its speech clips in order
+   */
+  settle() {
+    const { transcription, answer } = this.pending;
+    const clips = answer ? (this.clips.get(answer.responseId) || []).filter(Boolean) : [];
+    this.pending.resolve({ transcription, answer, audio: clips.length > 0 ? Buffer.concat(clips) : null });
+  }
+
+  /**
+   * Ask a typed question with the ask-text event
+   * @returns {Promise<Object>} - { transcription, answer, audio }
+   */
+  ask(text) {
+    const answered = this.waitForAnswer('asking');
+    this.socket.emit('ask-text', { text, speak: this.speak });
+    return answered;
+  }
+
+  /**
+   * Stream a recording through audio-stream, as the browser streams the
+   * microphone, after pressing the "Hey Hexpert" button so the question is
+   * answered whether or not the recording starts with the wake phrase
+   * @param {Buffer} audio - Recording
+   * @returns {Promise<Object>} - { transcription, answer, audio }; answer is null when nothing was asked
+   */
+  askAudio(audio) {
+    const answered = this.waitForAnswer('sending the recording');
+    this.socket.emit('wake-word-detected');
+    for (let offset = 0; offset < audio.length; offset += AUDIO_CHUNK_BYTES) {
+      this.socket.emit('audio-stream', audio.subarray(offset, offset + AUDIO_CHUNK_BYTES));
+    }
+    this.socket.emit('audio-utterance-end');
+    return answered;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+module.exports = { SocketClient, HttpClient, AUDIO_TYPES };
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * hexpert CLI
+ * Asks a running Hexpert server a typed question, or streams a recording to it
+ * the way the browser streams the microphone, and prints what the server heard
+ * and answered. For debugging transcription and answers without a browser or
+ * microphone, and for scripted checks: --expect fails the run when the answer
+ * misses a phrase, and --json prints machine-readable events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SocketClient, HttpClient, AUDIO_TYPES } = require('./clients');
+
+// Server the CLI talks to unless --server says otherwise
+const DEFAULT_SERVER = process.env.HEXPERT_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const USAGE = `Usage:
+  hexpert [options] <question...>     Ask a typed question
+  hexpert [options] --file <audio>    Stream a recording (.${Object.keys(AUDIO_TYPES).join(', .')}) and answer what was said
+
+Options:
+  --server <url>         Hexpert server (default: HEXPERT_URL or ${DEFAULT_SERVER})
+  --http                 Use the REST API instead of the socket the browser uses
+  --game <id>            Game to ask about (default: the server's default game)
+  --language <code>      Language to answer in: en, de, es or auto
+  --table <code>         Join this table instead of starting one (socket only)
+  --session <id>         Share a conversation with earlier --http questions
+  --save-audio <file>    Save the spoken answer as MP3
+  --expect <phrase>      Exit with an error unless the answer mentions the phrase (repeatable)
+  --json                 Print one JSON object per event instead of text
+  --timeout <seconds>    Longest wait for an answer (default: 60)
+
+Run with npm run hexpert -- <arguments>, or install the hexpert command with npm link.`;
+
+// Options that take a value, by flag
+const VALUE_OPTIONS = {
+  '--server': 'server',
+  '--file': 'file',
+  '--game': 'game',
+  '--language': 'language',
+  '--table': 'table',
+  '--session': 'session',
+  '--save-audio': 'saveAudio',
+  '--timeout': 'timeout'
+};
+
+/**
+ * Read command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Options, with the question's words in words
+ */
+function parseArgs(args) {
+  const options = { words: [], expect: [], http: false, json: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--http') {
+      options.http = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--expect' || VALUE_OPTIONS[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === '--expect') {
+        options.expect.push(args[++i]);
+      } else {
+        options[VALUE_OPTIONS[arg]] = args[++i];
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}\n\n${USAGE}`);
+    } else {
+      options.words.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print the client's events as they arrive: as text, or as JSON lines
+ */
+function printEvents(client, { json }) {
+  const line = (event, data) => process.stdout.write(`${JSON.stringify({ event, ...data })}\n`);
+  let streaming = false;
+
+  client.on('warning', message => {
+    if (json) {
+      line('warning', { message });
+    } else {
+      process.stderr.write(`Warning: ${message}\n`);
+    }
+  });
+
+  client.on('transcription', transcription => {
+    if (json) {
+      line('transcription', transcription);
+    } else if (!transcription.typed) {
+      process.stdout.write(`Heard: ${transcription.text || '(nothing)'}\n`);
+      process.stdout.write(transcription.question ? `Question: ${transcription.question}\n` : 'No question was asked.\n');
+    }
+  });
+
+  client.on('answer-chunk', delta => {
+    if (!json) {
+      process.stdout.write(`${streaming ? '' : 'Answer: '}${delta}`);
+      streaming = true;
+    }
+  });
+
+  client.on('answer', answer => {
+    if (json) {
+      line('answer', answer);
+      return;
+    }
+
+    process.stdout.write('\n');
+    streaming = false;
+    const notes = [answer.cached && 'cached', answer.offline && 'offline answer', !answer.grounded && 'not backed by a rule source']
+      .filter(Boolean);
+    if (notes.length > 0) {
+      process.stdout.write(`(${notes.join(', ')})\n`);
+    }
+    (answer.citations || []).forEach((citation, i) => {
+      process.stdout.write(`  [${i + 1}] ${citation.source}: ${citation.heading}\n`);
+    });
+  });
+}
+
+/**
+ * Read a recording and check the server can tell its format
+ * @returns {Object} - { audio, extension }
+ */
+function readRecording(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  if (!AUDIO_TYPES[extension]) {
+    throw new Error(`Unsupported audio file ${file}; expected one of: .${Object.keys(AUDIO_TYPES).join(', .')}`);
+  }
+
+  return { audio: fs.readFileSync(file), extension };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const question = options.words.join(' ').trim();
+  if (options.help || (!question && !options.file)) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+  if (question && options.file) {
+    throw new Error('Ask a typed question or send a --file, not both');
+  }
+
+  const recording = options.file ? readRecording(options.file) : null;
+  const settings = {
+    gameId: options.game || null,
+    language: options.language || null,
+    speak: Boolean(options.saveAudio),
+    timeoutMs: (parseFloat(options.timeout) || 60) * 1000
+  };
+  const server = options.server || DEFAULT_SERVER;
+  const client = options.http
+    ? new HttpClient(server, { ...settings, sessionId: options.session || null })
+    : new SocketClient(server, { ...settings, table: options.table || null });
+  printEvents(client, options);
+
+  try {
+    const connection = await client.connect();
+    if (connection.table && !options.json) {
+      process.stderr.write(`Joined table ${connection.table}\n`);
+    }
+
+    const result = recording ? await client.askAudio(recording.audio, recording.extension) : await client.ask(question);
+
+    if (options.saveAudio) {
+      if (result.audio) {
+        fs.writeFileSync(options.saveAudio, result.audio);
+      }
+      const saved = { file: options.saveAudio, bytes: result.audio ? result.audio.length : 0 };
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify({ event: 'audio', ...saved })}\n`);
+      } else {
+        process.stderr.write(result.audio ? `Saved the spoken answer to ${saved.file}\n` : 'No spoken answer to save\n');
+      }
+    }
+
+    // Scripted checks: every expected phrase must be in the answer
+    const answer = result.answer ? result.answer.answer.toLowerCase() : '';
+    const missing = options.expect.filter(phrase => !answer.includes(phrase.toLowerCase()));
+    if (missing.length > 0) {
+      throw new Error(`The answer doesn't mention: ${missing.join('; ')}`);
+    }
+  } finally {
+    client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
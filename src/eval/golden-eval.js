@@ -0,0 +1,235 @@
+/**
+ * Golden Evaluation
+ * Runs a game's golden questions (questions with known correct rulings) through
+ * its expert and scores each answer three ways: keywords the ruling must and
+ * must not mention, a judge model comparing it with the expected ruling, and
+ * whether the rulebook passages that settle it were retrieved at all. Questions
+ * marked offline check the answer given without the chat provider instead.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { normalize } = require('../games/card-catalog');
+
+// Judge verdicts and the score each is worth
+const VERDICT_SCORES = { correct: 1, partial: 0.5, incorrect: 0 };
+
+const JUDGE_PROMPT = `You grade answers from a board game rules assistant against the correct ruling.
+
+- "correct": the answer gives the same ruling, even if worded differently or with extra detail that is also true
+- "partial": the main ruling is right, but an exception or condition in the correct ruling is missing or wrong
+- "incorrect": the answer gives a different ruling, contradicts the correct one, or doesn't answer the question
+
+The answer may be in another language than the correct ruling; grade its meaning.
+Reply with JSON only: {"verdict": "correct" | "partial" | "incorrect", "reason": "<one sentence>"}`;
+
+/**
+ * Normalize text for keyword checks: case, accents and punctuation are ignored,
+ * and thousands separators dropped so "1,000" matches "1000"
+ */
+function normalizeForMatch(text) {
+  return ` ${normalize(String(text || '').replace(/(\d),(?=\d{3}\b)/g, '$1'))} `;
+}
+
+/**
+ * Load and check a golden question file
+ * @param {string} file - Path to a JSON file of { description, questions }
+ * @returns {Object} - { questions, version } where version is a hash of the file's questions
+ */
+function loadGoldenQuestions(file) {
+  const { questions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error(`${file} has no questions`);
+  }
+
+  const ids = new Set();
+  questions.forEach((golden, i) => {
+    ['id', 'question', 'expected'].forEach(field => {
+      if (typeof golden[field] !== 'string' || !golden[field].trim()) {
+        throw new Error(`Golden question ${golden.id || i + 1} in ${file} needs a "${field}"`);
+      }
+    });
+    if (ids.has(golden.id)) {
+      throw new Error(`Golden question id "${golden.id}" is used twice in ${file}`);
+    }
+    ids.add(golden.id);
+  });
+
+  const version = crypto.createHash('sha256').update(JSON.stringify(questions)).digest('hex').slice(0, 16);
+  return { questions, version };
+}
+
+/**
+ * Check an answer for the phrases its ruling must and must not contain
+ * @param {string} answer - The answer
+ * @param {Object} golden - Golden question
+ * @param {Array<string|Array<string>>} golden.mustMention - Each entry is a phrase, or alternatives of which one is enough
+ * @param {Array<string>} golden.mustNotMention - Phrases that mean the ruling is wrong
+ * @returns {Object} - { passed, missing, forbidden }
+ */
+function checkKeywords(answer, { mustMention = [], mustNotMention = [] }) {
+  const text = normalizeForMatch(answer);
+  const mentions = phrase => text.includes(normalizeForMatch(phrase));
+
+  const missing = mustMention
+    .map(group => (Array.isArray(group) ? group : [group]))
+    .filter(alternatives => !alternatives.some(mentions))
+    .map(alternatives => alternatives.join(' / '));
+  const forbidden = mustNotMention.filter(mentions);
+
+  return { passed: missing.length === 0 && forbidden.length === 0, missing, forbidden };
+}
+
+/**
+ * Check that the passages a ruling comes from are among those retrieved for the question
+ * @param {Array<Object>} passages - Retrieved passages, as { heading }
+ * @param {Array<string|Array<string>>} expected - Heading paths (or their ends), or alternatives of which one is enough
+ * @returns {Object} - { passed, missing, retrieved }
+ */
+function checkRetrieval(passages, expected = []) {
+  const headings = passages.map(passage => passage.heading.toLowerCase());
+  const missing = expected
+    .map(entry => (Array.isArray(entry) ? entry : [entry]))
+    .filter(alternatives => !alternatives.some(heading => headings.some(found => found.includes(heading.toLowerCase()))))
+    .map(alternatives => alternatives.join(' / '));
+
+  return { passed: missing.length === 0, missing, retrieved: passages.map(passage => passage.heading) };
+}
+
+/**
+ * Read the judge's reply, which should be JSON but may come wrapped in prose or a code block
+ * @returns {Object} - { verdict, score, reason }
+ */
+function parseVerdict(content) {
+  const json = (content || '').match(/\{[\s\S]*\}/);
+  let parsed = null;
+  try {
+    parsed = json ? JSON.parse(json[0]) : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  const verdict = parsed && String(parsed.verdict || '').toLowerCase();
+  if (!(verdict in VERDICT_SCORES)) {
+    throw new Error(`Judge gave no verdict: ${(content || '').slice(0, 200)}`);
+  }
+  return { verdict, score: VERDICT_SCORES[verdict], reason: parsed.reason || '' };
+}
+
+class GoldenEvaluator {
+  /**
+   * @param {GameExpert} expert - Expert answering the questions
+   * @param {Object} options - Evaluation options
+   * @param {Object} options.judge - Chat provider that grades answers; null to skip judging
+   * @param {Function} options.onResult - Called with each question's result as it finishes
+   */
+  constructor(expert, { judge = null, onResult = () => {} } = {}) {
+    this.expert = expert;
+    this.judge = judge;
+    this.onResult = onResult;
+  }
+
+  /**
+   * Answer and score every golden question, one at a time
+   * @param {Array<Object>} questions - From loadGoldenQuestions()
+   * @returns {Object} - { results, summary }
+   */
+  async run(questions) {
+    const results = [];
+    for (const golden of questions) {
+      const result = await this.evaluate(golden);
+      results.push(result);
+      this.onResult(result);
+    }
+    return { results, summary: summarize(results) };
+  }
+
+  /**
+   * Answer and score one golden question. A question marked offline is answered
+   * the way it would be with the chat provider down, from processQuestionFallback().
+   * @param {Object} golden - Golden question
+   * @returns {Object} - { id, question, answer, citations, offline, durationMs, keywords, judge, retrieval, passed, error }
+   */
+  async evaluate(golden) {
+    const sets = golden.sets || this.expert.defaultSets();
+    const result = { id: golden.id, question: golden.question, judge: null, error: null };
+
+    const startedAt = Date.now();
+    let cited = [];
+    try {
+      const answer = golden.offline
+        ? this.expert.processQuestionFallback(golden.question, { sets })
+        : await this.expert.processQuestion(golden.question, { sets, language: golden.language || 'en' });
+      cited = answer.citations;
+      Object.assign(result, {
+        answer: answer.answer,
+        citations: answer.citations.map(citation => citation.id),
+        offline: Boolean(answer.offline)
+      });
+    } catch (error) {
+      Object.assign(result, { answer: '', citations: [], offline: false, error: error.message });
+    }
+    result.durationMs = Date.now() - startedAt;
+
+    // An offline answer only quotes the passages it cites, so those are the ones checked
+    const passages = golden.offline ? cited : this.expert.retrievePassages(golden.question, [], sets);
+    result.retrieval = checkRetrieval(passages, golden.passages);
+
+    // An unexpected offline answer means the chat provider failed, so the model wasn't evaluated
+    if (result.offline && !golden.offline) {
+      result.error = 'The chat provider failed; the answer came from the offline rules search';
+    }
+
+    result.keywords = checkKeywords(result.answer, golden);
+    // Offline answers quote the rules without ruling on the question; keywords and passages are all they're held to
+    if (this.judge && !result.error && !golden.offline) {
+      try {
+        result.judge = await this.grade(golden, result.answer);
+      } catch (error) {
+        result.error = `Judging failed: ${error.message}`;
+      }
+    }
+
+    result.passed = !result.error && result.keywords.passed && (!result.judge || result.judge.verdict === 'correct');
+    return result;
+  }
+
+  /**
+   * Have the judge compare an answer with the expected ruling
+   * @returns {Object} - { verdict, score, reason }
+   */
+  async grade(golden, answer) {
+    const { content } = await this.judge.complete({
+      messages: [
+        { role: 'system', content: JUDGE_PROMPT },
+        { role: 'user', content: `Question: ${golden.question}\n\nCorrect ruling: ${golden.expected}\n\nAnswer to grade: ${answer}` }
+      ],
+      max_tokens: 150,
+      temperature: 0
+    });
+    return parseVerdict(content);
+  }
+}
+
+/**
+ * Totals for a run
+ * @param {Array<Object>} results - Results from GoldenEvaluator.evaluate()
+ * @returns {Object} - { questions, passed, keywordsPassed, judged, judgeScore, retrieved, errors, averageMs }
+ */
+function summarize(results) {
+  const judged = results.filter(result => result.judge);
+  return {
+    questions: results.length,
+    passed: results.filter(result => result.passed).length,
+    keywordsPassed: results.filter(result => result.keywords.passed).length,
+    judged: judged.length,
+    judgeScore: judged.reduce((total, result) => total + result.judge.score, 0),
+    retrieved: results.filter(result => result.retrieval.passed).length,
+    errors: results.filter(result => result.error).length,
+    averageMs: results.length > 0
+      ? Math.round(results.reduce((total, result) => total + result.durationMs, 0) / results.length)
+      : 0
+  };
+}
+
+module.exports = { GoldenEvaluator, loadGoldenQuestions, checkKeywords, checkRetrieval, summarize };
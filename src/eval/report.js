@@ -0,0 +1,152 @@
+/**
+ * Evaluation Report
+ * Markdown comparing saved evaluation runs side by side: totals for each run
+ * with the model, prompt and knowledge base it used, which questions passed in
+ * which run, and what the latest run broke or fixed compared with the one before
+ */
+
+/**
+ * Count out of a total, with its percentage
+ */
+function ratio(count, total) {
+  return total > 0 ? `${count}/${total} (${Math.round((count / total) * 100)}%)` : '-';
+}
+
+/**
+ * Short cell for one question in one run
+ * @param {Object} result - Result from GoldenEvaluator.evaluate(), or undefined if the run didn't ask it
+ */
+function describeResult(result) {
+  if (!result) {
+    return '';
+  }
+  if (result.error) {
+    return 'error';
+  }
+
+  const failures = [];
+  if (!result.keywords.passed) {
+    failures.push('keywords');
+  }
+  if (result.judge && result.judge.verdict !== 'correct') {
+    failures.push(`judge: ${result.judge.verdict}`);
+  }
+  const status = failures.length > 0 ? `FAIL (${failures.join(', ')})` : 'pass';
+  return result.retrieval.passed ? status : `${status}, passages missing`;
+}
+
+/**
+ * Why a question failed, for the details of the latest run
+ */
+function explainFailure(result) {
+  const reasons = [];
+  if (result.error) {
+    reasons.push(result.error);
+  }
+  if (result.keywords.missing.length > 0) {
+    reasons.push(`doesn't mention: ${result.keywords.missing.join('; ')}`);
+  }
+  if (result.keywords.forbidden.length > 0) {
+    reasons.push(`mentions: ${result.keywords.forbidden.join('; ')}`);
+  }
+  if (result.judge && result.judge.verdict !== 'correct') {
+    reasons.push(`judge (${result.judge.verdict}): ${result.judge.reason}`);
+  }
+  return reasons.join('. ');
+}
+
+/**
+ * What changed between two runs
+ * @param {Object} previous - The earlier run
+ * @param {Object} latest - The later run
+ * @returns {Object} - { regressed, fixed, lostPassages, foundPassages } as arrays of [previous result, latest result]
+ */
+function compareRuns(previous, latest) {
+  const before = new Map(previous.results.map(result => [result.id, result]));
+  const pairs = latest.results
+    .filter(result => before.has(result.id))
+    .map(result => [before.get(result.id), result]);
+
+  return {
+    regressed: pairs.filter(([old, now]) => old.passed && !now.passed),
+    fixed: pairs.filter(([old, now]) => !old.passed && now.passed),
+    lostPassages: pairs.filter(([old, now]) => old.retrieval.passed && !now.retrieval.passed),
+    foundPassages: pairs.filter(([old, now]) => !old.retrieval.passed && now.retrieval.passed)
+  };
+}
+
+/**
+ * Which versions differ between two runs, e.g. "model, prompt"
+ */
+function describeDifferences(previous, latest) {
+  const fields = { model: 'model', promptVersion: 'prompt', rulesVersion: 'knowledge base', goldenVersion: 'golden questions' };
+  const changed = Object.entries(fields)
+    .filter(([field]) => previous[field] !== latest[field])
+    .map(([, name]) => name);
+  return changed.length > 0 ? changed.join(', ') : 'nothing but the answers themselves';
+}
+
+/**
+ * Render a Markdown report for one or more runs, oldest first
+ * @param {Array<Object>} runs - Saved runs, as written by the eval command
+ * @returns {string} - Markdown
+ */
+function renderReport(runs) {
+  const latest = runs[runs.length - 1];
+  const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+  const lines = [`# Hexpert evaluation: ${latest.gameId}`, ''];
+
+  lines.push('| Run | Started | Chat | Judge | Prompt | Knowledge | Passed | Keywords | Judge score | Passages | Avg time |');
+  lines.push('|---|---|---|---|---|---|---|---|---|---|---|');
+  runs.forEach(run => {
+    const { summary } = run;
+    lines.push(`| ${run.label} | ${run.startedAt.replace('T', ' ').slice(0, 16)} | ${run.client}/${run.model} | ` +
+      `${run.judgeModel || '-'} | ${run.promptVersion.slice(0, 8)} | ${run.rulesVersion.slice(0, 8)} | ` +
+      `${ratio(summary.passed, summary.questions)} | ${ratio(summary.keywordsPassed, summary.questions)} | ` +
+      `${summary.judged > 0 ? ratio(summary.judgeScore, summary.judged) : '-'} | ${ratio(summary.retrieved, summary.questions)} | ` +
+      `${(summary.averageMs / 1000).toFixed(1)} s |`);
+  });
+
+  const ids = [...new Set(runs.flatMap(run => run.results.map(result => result.id)))];
+  lines.push('', '## Questions', '');
+  lines.push(`| Question | ${runs.map(run => run.label).join(' | ')} |`);
+  lines.push(`|---|${runs.map(() => '---').join('|')}|`);
+  ids.forEach(id => {
+    const cells = runs.map(run => describeResult(run.results.find(result => result.id === id)));
+    lines.push(`| ${id} | ${cells.join(' | ')} |`);
+  });
+
+  if (previous) {
+    const { regressed, fixed, lostPassages, foundPassages } = compareRuns(previous, latest);
+    lines.push('', `## ${latest.label} compared with ${previous.label}`, '');
+    lines.push(`Changed since ${previous.label}: ${describeDifferences(previous, latest)}.`, '');
+
+    const list = (title, pairs, describe) => {
+      if (pairs.length > 0) {
+        lines.push(`**${title}:**`, '', ...pairs.map(pair => `- ${pair[1].id}: ${describe(pair)}`), '');
+      }
+    };
+    list('Regressed', regressed, ([, now]) => explainFailure(now));
+    list('Fixed', fixed, ([old]) => `was failing: ${explainFailure(old)}`);
+    list('Passages no longer retrieved', lostPassages, ([, now]) => now.retrieval.missing.join('; '));
+    list('Passages now retrieved', foundPassages, ([old]) => old.retrieval.missing.join('; '));
+    if (regressed.length + fixed.length + lostPassages.length + foundPassages.length === 0) {
+      lines.push('No question passed or failed differently.', '');
+    }
+  }
+
+  const failures = latest.results.filter(result => !result.passed);
+  if (failures.length > 0) {
+    lines.push('', `## Failures in ${latest.label}`, '');
+    failures.forEach(result => {
+      lines.push(`### ${result.id}`, '', `> ${result.question}`, '', explainFailure(result), '');
+      if (result.answer) {
+        lines.push(`Answer: ${result.answer.replace(/\s+/g, ' ')}`, '');
+      }
+    });
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+module.exports = { renderReport, compareRuns };
@@ -0,0 +1,257 @@
+/**
+ * Evaluation Command
+ * npm run eval: asks a game's golden questions, saves the scored run and prints
+ * a report comparing it with earlier runs, so a prompt, model or rulebook change
+ * that breaks rulings shows up before it reaches a table.
+ * npm run eval -- report: prints the report for saved runs without asking anything.
+ */
+
+require('dotenv').config();
+
+// The registry logs at info level; keep stdout for the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { createProviders } = require('../backend/providers');
+const { StubChat } = require('../backend/providers/stub');
+const GameRegistry = require('../backend/game-registry');
+const { GoldenEvaluator, loadGoldenQuestions } = require('./golden-eval');
+const { renderReport } = require('./report');
+
+// Folder evaluation runs are saved in, one JSON file each
+const EVAL_DIR = process.env.EVAL_DIR || path.join(__dirname, '../../data/eval');
+
+// Most recent runs shown side by side in a report
+const REPORT_RUNS = 5;
+
+const USAGE = `Usage:
+  npm run eval -- [options]           Ask the golden questions and report against earlier runs
+  npm run eval -- report [run.json...] Report on saved runs (default: the latest ${REPORT_RUNS})
+
+Options:
+  --game <id>            Game to evaluate (default: the default game)
+  --questions <file>     Golden questions (default: src/games/<game>/golden-questions.json)
+  --client <provider>    Chat provider answering: openai or stub (default: LLM_PROVIDER or AI_PROVIDER)
+  --model <name>         Chat model answering (default: OPENAI_GPT_MODEL)
+  --judge-model <name>   Chat model grading answers (default: EVAL_JUDGE_MODEL, else the answering model)
+  --no-judge             Only check keywords and passages
+  --only <id,...>        Ask only these questions
+  --label <name>         Name of the run in reports (default: model and time)
+  --last <n>             Runs shown side by side in the report (default: ${REPORT_RUNS})
+  --out <file>           Also write the report to a file
+  --no-save              Don't save the run`;
+
+// Options that take a value, by flag
+const VALUE_OPTIONS = {
+  '--game': 'game',
+  '--questions': 'questions',
+  '--client': 'client',
+  '--model': 'model',
+  '--judge-model': 'judgeModel',
+  '--only': 'only',
+  '--label': 'label',
+  '--last': 'last',
+  '--out': 'out'
+};
+
+/**
+ * Stub chat that answers each golden question with its expected ruling, so a
+ * run with --client stub needs no network and checks the golden questions'
+ * own keywords along with passage retrieval
+ */
+class RulingChat extends StubChat {
+  constructor() {
+    super();
+    this.rulings = new Map();
+  }
+
+  /**
+   * Learn the expected rulings of golden questions
+   */
+  addRulings(questions) {
+    questions.forEach(golden => this.rulings.set(golden.question, golden.expected));
+  }
+
+  answerFor(request) {
+    const question = [...request.messages].reverse().find(message => message.role === 'user');
+    return (question && this.rulings.get(question.content)) || super.answerFor(request);
+  }
+}
+
+/**
+ * Read command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { command, files, options }
+ */
+function parseArgs(args) {
+  const parsed = { command: 'run', files: [], options: { judge: true, save: true } };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === 'report' && i === 0) {
+      parsed.command = 'report';
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.command = 'help';
+    } else if (arg === '--no-judge') {
+      parsed.options.judge = false;
+    } else if (arg === '--no-save') {
+      parsed.options.save = false;
+    } else if (VALUE_OPTIONS[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      parsed.options[VALUE_OPTIONS[arg]] = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}\n\n${USAGE}`);
+    } else {
+      parsed.files.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Saved runs for a game, oldest first
+ * @param {string} gameId - Game identifier, or null for every game
+ */
+function loadRuns(gameId = null) {
+  if (!fs.existsSync(EVAL_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(EVAL_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(EVAL_DIR, file), 'utf8')))
+    .filter(run => !gameId || run.gameId === gameId)
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+/**
+ * Save a run under a file name that sorts by time
+ * @returns {string} - Path of the saved run
+ */
+function saveRun(run) {
+  fs.mkdirSync(EVAL_DIR, { recursive: true });
+  const slug = run.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const file = path.join(EVAL_DIR, `${run.startedAt.replace(/[:.]/g, '-')}-${slug}.json`);
+  fs.writeFileSync(file, JSON.stringify(run, null, 2));
+  return file;
+}
+
+/**
+ * Print the report, and write it to --out if given
+ */
+function printReport(runs, { out = null, last = REPORT_RUNS } = {}) {
+  const report = renderReport(runs.slice(-Math.max(parseInt(last, 10) || REPORT_RUNS, 1)));
+  process.stdout.write(report);
+  if (out) {
+    fs.writeFileSync(out, report);
+    process.stderr.write(`Report written to ${out}\n`);
+  }
+}
+
+/**
+ * Ask the golden questions and report on the run
+ */
+async function runEvaluation(options) {
+  // Only the chat provider is used; speech needs no key here
+  const env = {
+    ...process.env,
+    STT_PROVIDER: 'stub',
+    TTS_PROVIDER: 'stub',
+    ...(options.client ? { LLM_PROVIDER: options.client } : {}),
+    ...(options.model ? { OPENAI_GPT_MODEL: options.model } : {})
+  };
+  const providers = createProviders(env);
+  const stubbed = providers.names.chat === 'stub';
+
+  const chat = stubbed ? new RulingChat() : providers.chat;
+  const registry = new GameRegistry(chat).discover();
+  const gameId = options.game || registry.defaultGameId;
+  if (!registry.has(gameId)) {
+    throw new Error(`Unknown game "${gameId}"; expected one of: ${registry.list().map(game => game.id).join(', ')}`);
+  }
+  const expert = registry.get(gameId);
+
+  const questionsFile = options.questions || path.join(__dirname, '../games', gameId, 'golden-questions.json');
+  const golden = loadGoldenQuestions(questionsFile);
+  const only = options.only ? options.only.split(',').map(id => id.trim()) : null;
+  const questions = only ? golden.questions.filter(question => only.includes(question.id)) : golden.questions;
+  if (questions.length === 0) {
+    throw new Error(`None of ${only.join(', ')} are in ${questionsFile}`);
+  }
+
+  if (stubbed) {
+    chat.addRulings(golden.questions);
+  }
+
+  // The stub can't judge; answers from it are only checked for keywords and passages
+  const judgeModel = options.judgeModel || process.env.EVAL_JUDGE_MODEL || null;
+  const judge = options.judge && !stubbed
+    ? createProviders({ ...env, ...(judgeModel ? { OPENAI_GPT_MODEL: judgeModel } : {}) }).chat
+    : null;
+
+  const model = stubbed ? 'stub' : chat.model;
+  const startedAt = new Date().toISOString();
+  process.stderr.write(`Asking ${questions.length} ${gameId} questions with ${providers.names.chat}/${model}` +
+    `${judge ? `, judged by ${judge.model}` : ''}\n`);
+
+  const evaluator = new GoldenEvaluator(expert, {
+    judge,
+    onResult: result => process.stderr.write(`  ${result.passed ? 'pass' : 'FAIL'}  ${result.id}` +
+      `${result.error ? ` (${result.error})` : ''}\n`)
+  });
+  const { results, summary } = await evaluator.run(questions);
+
+  const run = {
+    label: options.label || `${model} ${startedAt.slice(5, 16).replace('T', ' ')}`,
+    gameId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    client: providers.names.chat,
+    model,
+    judgeModel: judge ? judge.model : null,
+    promptVersion: expert.promptVersion,
+    rulesVersion: expert.rulesVersion,
+    goldenVersion: golden.version,
+    questionsFile: path.relative(process.cwd(), questionsFile),
+    summary,
+    results
+  };
+
+  if (options.save) {
+    process.stderr.write(`Run saved to ${saveRun(run)}\n\n`);
+  }
+
+  const earlier = loadRuns(gameId).filter(saved => saved.startedAt !== run.startedAt);
+  printReport([...earlier, run], options);
+}
+
+async function main() {
+  const { command, files, options } = parseArgs(process.argv.slice(2));
+
+  if (command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === 'report') {
+    const runs = files.length > 0
+      ? files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')))
+      : loadRuns(options.game || null);
+    if (runs.length === 0) {
+      throw new Error(`No saved runs in ${EVAL_DIR}; run npm run eval first`);
+    }
+    printReport(runs, { ...options, last: files.length > 0 ? files.length : options.last });
+    return;
+  }
+
+  await runEvaluation(options);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
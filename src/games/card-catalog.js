@@ -0,0 +1,261 @@
+/**
+ * Card Catalog
+ * Structured card data for a game, with fuzzy name matching that tolerates
+ * the misspellings and split words Whisper produces ("gelatinous octa hedron")
+ */
+
+const fs = require('fs');
+
+// Names this short (after normalizing) must match exactly; fuzzy matching them causes false hits
+const MIN_FUZZY_NAME_LENGTH = 5;
+
+// Minimum similarity (0-1) for a fuzzy match
+const FUZZY_THRESHOLD = 0.82;
+
+// Singular labels for each card category, used in prompts and citations
+const CATEGORY_LABELS = {
+    monsters: 'Monster',
+    monsterEnhancers: 'Monster Enhancer',
+    items: 'Item',
+    curses: 'Curse',
+    races: 'Race',
+    classes: 'Class'
+};
+
+/**
+ * Lowercase and strip punctuation and accents so "Boots of Butt-Kicking!" matches
+ * "boots of butt kicking" and "Clérigo" matches "clerigo"
+ * @param {string} text - Text to normalize
+ */
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/ß/g, 'ss')
+        .replace(/[’']/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity between 0 and 1, ignoring spaces so split or joined words still match
+ */
+function similarity(a, b) {
+    const compactA = a.replace(/ /g, '');
+    const compactB = b.replace(/ /g, '');
+    const longest = Math.max(compactA.length, compactB.length);
+    return longest === 0 ? 1 : 1 - levenshtein(compactA, compactB) / longest;
+}
+
+class CardCatalog {
+    /**
+     * @param {Object} data - Cards grouped by category, e.g. { monsters: [...], items: [...] }
+     */
+    constructor(data = {}) {
+        this.cards = [];
+        this.addCards(data);
+    }
+
+    /**
+     * Load a catalog from a JSON file
+     * @param {string} filePath - Path to the card data
+     * @returns {CardCatalog} - Catalog, empty if the file does not exist
+     */
+    static fromFile(filePath) {
+        return new CardCatalog().addFile(filePath);
+    }
+
+    /**
+     * Add cards grouped by category
+     * @param {Object} data - Cards grouped by category, e.g. { monsters: [...], items: [...] }
+     * @param {Object} options - Where the cards come from
+     * @param {string} options.set - Id of the edition or expansion they belong to; null for the base game
+     * @param {string} options.source - Source name shown in citations for these cards
+     * @returns {CardCatalog} - This catalog, for chaining
+     */
+    addCards(data, { set = null, source = null } = {}) {
+        Object.entries(data).forEach(([category, cards]) => {
+            if (!Array.isArray(cards)) {
+                return;
+            }
+            cards.forEach(card => {
+                // Localized names ({ "de": ["Zwerg"] }) are matched like aliases
+                const localizedNames = Object.values(card.localizedNames || {}).flat();
+                const names = [card.name, ...(card.aliases || []), ...localizedNames].map(normalize);
+                this.cards.push({ ...card, category, names, set, source });
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Add the cards in a JSON file
+     * @param {string} filePath - Path to the card data; skipped if it does not exist
+     * @param {Object} options - Passed to addCards()
+     * @returns {CardCatalog} - This catalog, for chaining
+     */
+    addFile(filePath, options = {}) {
+        if (!fs.existsSync(filePath)) {
+            return this;
+        }
+        return this.addCards(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+    }
+
+    /**
+     * Narrow the catalog to the editions and expansions in play
+     * @param {Array<string>} sets - Set ids in play; base game cards are always kept. Null keeps everything.
+     * @returns {CardCatalog} - Catalog sharing this one's card data
+     */
+    inSets(sets) {
+        if (!sets) {
+            return this;
+        }
+
+        const catalog = new CardCatalog();
+        catalog.cards = this.cards.filter(card => !card.set || sets.includes(card.set));
+        return catalog;
+    }
+
+    /**
+     * Find the card that best matches a name
+     * @param {string} name - Card name as spoken or typed
+     * @param {string} category - Optional category to restrict the search to
+     * @returns {Object|null} - Card data, or null if nothing is close enough
+     */
+    lookup(name, category = null) {
+        const query = normalize(name);
+        let best = null;
+
+        this.cards
+            .filter(card => !category || card.category === category)
+            .forEach(card => {
+                card.names.forEach(cardName => {
+                    const score = this.matchScore(query, cardName);
+                    if (score !== null && (!best || score > best.score)) {
+                        best = { card, score };
+                    }
+                });
+            });
+
+        return best ? best.card : null;
+    }
+
+    /**
+     * Find every card mentioned in a piece of text
+     * @param {string} text - Question or transcript
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of cards returned
+     * @returns {Array<Object>} - Mentioned cards, best match first
+     */
+    findMentions(text, { limit = 5 } = {}) {
+        const words = normalize(text).split(' ').filter(Boolean);
+        const matches = [];
+
+        this.cards.forEach(card => {
+            let bestScore = null;
+
+            card.names.forEach(cardName => {
+                const nameLength = cardName.split(' ').length;
+
+                // Try word windows around the name's length so split or merged words still line up
+                for (let size = Math.max(1, nameLength - 1); size <= nameLength + 1; size++) {
+                    for (let start = 0; start + size <= words.length; start++) {
+                        const window = words.slice(start, start + size).join(' ');
+                        const score = this.matchScore(window, cardName);
+                        if (score !== null && (bestScore === null || score > bestScore)) {
+                            bestScore = score;
+                        }
+                    }
+                }
+            });
+
+            if (bestScore !== null) {
+                matches.push({ card, score: bestScore });
+            }
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ card }) => card);
+    }
+
+    /**
+     * Score a candidate phrase against a normalized card name
+     * @returns {number|null} - Similarity, or null if it is not a match
+     */
+    matchScore(phrase, cardName) {
+        if (phrase === cardName) {
+            return 1;
+        }
+        if (cardName.replace(/ /g, '').length < MIN_FUZZY_NAME_LENGTH) {
+            return null;
+        }
+
+        const score = similarity(phrase, cardName);
+        return score >= FUZZY_THRESHOLD ? score : null;
+    }
+
+    /**
+     * Describe a card in one paragraph, for prompts and for answering without the LLM
+     * @param {Object} card - Card from this catalog
+     * @returns {string} - Human-readable card text
+     */
+    describe(card) {
+        const label = CATEGORY_LABELS[card.category] || card.category;
+        const parts = [];
+
+        if (card.category === 'monsters') {
+            parts.push(`${card.name} is a Level ${card.level} monster${card.undead ? ' (Undead)' : ''}.`);
+            if (card.text) {
+                parts.push(card.text);
+            }
+            parts.push(`Bad Stuff: ${card.badStuff}`);
+            parts.push(`Defeating it is worth ${card.treasures} Treasure${card.treasures === 1 ? '' : 's'} and ` +
+                `${card.levels} level${card.levels === 1 ? '' : 's'}.`);
+        } else if (card.category === 'items') {
+            const traits = [card.slot, card.big ? 'Big' : null, card.oneShot ? 'one-shot' : null].filter(Boolean);
+            parts.push(`${card.name} is ${traits.length > 0 ? `a ${traits.join(', ')} item` : 'an item'} worth ${card.value} Gold Pieces.`);
+            parts.push(card.text);
+        } else {
+            parts.push(`${card.name} (${label}): ${card.text}`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Turn cards into passages that can be numbered in a prompt and cited like rulebook text
+     * @param {Array<Object>} cards - Cards from this catalog
+     * @param {string} source - Source name shown in citations, unless the card was added with its own
+     * @returns {Array<Object>} - Passages as { id, source, heading, text }
+     */
+    toPassages(cards, source) {
+        return cards.map(card => ({
+            id: `${card.source || source}#${card.name}`,
+            source: card.source || source,
+            heading: `${CATEGORY_LABELS[card.category] || card.category}: ${card.name}`,
+            text: this.describe(card)
+        }));
+    }
+}
+
+module.exports = CardCatalog;
+module.exports.normalize = normalize;
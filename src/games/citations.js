@@ -0,0 +1,129 @@
+/**
+ * Citations
+ * Turns the numbered source markers the model writes ("[2]") into structured
+ * citations, and removes them from the text that is displayed and spoken
+ */
+
+const { tokenize } = require('./rules-index');
+
+// Inline markers such as "[2]" or "[1, 3]", with the space before them
+const MARKER_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Trailing whitespace or an unfinished marker at the end of streamed text, e.g. " [1,"
+// (whitespace is held back too, in case a marker follows it in the next piece)
+const PARTIAL_MARKER_PATTERN = /\s*(?:\[[\d,\s]*)?$/;
+
+// Overlap needed to attribute an uncited answer to a passage
+const MIN_OVERLAP_RATIO = 0.3;
+const MIN_OVERLAP_TERMS = 3;
+
+// Longest passage excerpt sent to the client with a citation
+const EXCERPT_LENGTH = 400;
+
+class CitationStripper {
+    constructor() {
+        this.pending = '';
+        this.cited = new Set();
+    }
+
+    /**
+     * Strip markers from a streamed piece of text, holding back a marker that
+     * may be completed by the next piece
+     * @param {string} text - Newly streamed text
+     * @returns {string} - Text safe to show and speak
+     */
+    push(text) {
+        let buffer = this.pending + text;
+        this.pending = '';
+
+        const partial = buffer.match(PARTIAL_MARKER_PATTERN);
+        if (partial) {
+            this.pending = partial[0];
+            buffer = buffer.substring(0, partial.index);
+        }
+
+        return this.strip(buffer);
+    }
+
+    /**
+     * Release anything held back once the stream has ended
+     * @returns {string} - Remaining text
+     */
+    flush() {
+        const remainder = this.strip(this.pending);
+        this.pending = '';
+        return remainder;
+    }
+
+    /**
+     * Remove complete markers from text and remember the numbers they cited
+     * @param {string} text - Text possibly containing markers
+     * @returns {string} - Text without markers
+     */
+    strip(text) {
+        return text.replace(MARKER_PATTERN, (marker, numbers) => {
+            numbers.split(',').forEach(number => this.cited.add(parseInt(number, 10)));
+            return '';
+        });
+    }
+
+    /**
+     * 1-based passage numbers cited so far
+     * @returns {Array<number>} - Sorted passage numbers
+     */
+    getCitedNumbers() {
+        return [...this.cited].sort((a, b) => a - b);
+    }
+}
+
+/**
+ * Shape a passage as a citation for the client
+ * @param {Object} passage - Passage from the rules index
+ * @param {string} matchedBy - 'model' if the model cited it, 'overlap' if inferred, 'tool' if computed by a tool
+ */
+function toCitation(passage, matchedBy) {
+    const text = passage.text.length > EXCERPT_LENGTH
+        ? `${passage.text.substring(0, EXCERPT_LENGTH)}...`
+        : passage.text;
+
+    return {
+        id: passage.id,
+        source: passage.source,
+        heading: passage.heading,
+        text,
+        matchedBy
+    };
+}
+
+/**
+ * Work out which passages support an answer
+ * @param {string} answer - Final answer text (markers already removed)
+ * @param {Array<Object>} passages - Passages that were numbered in the prompt
+ * @param {Array<number>} citedNumbers - 1-based numbers the model cited
+ * @param {Array<Object>} toolPassages - Results of tools the model called, shaped like passages
+ * @returns {Object} - { citations, grounded }
+ */
+function resolveCitations(answer, passages, citedNumbers = [], toolPassages = []) {
+    let citations = citedNumbers
+        .filter(number => number >= 1 && number <= passages.length)
+        .map(number => toCitation(passages[number - 1], 'model'));
+
+    // The model forgot to cite: fall back to passages the answer clearly draws on
+    if (citations.length === 0) {
+        const answerTerms = new Set(tokenize(answer));
+        citations = passages
+            .filter(passage => {
+                const passageTerms = new Set(tokenize(passage.text));
+                const shared = [...passageTerms].filter(term => answerTerms.has(term)).length;
+                return shared >= MIN_OVERLAP_TERMS && shared / passageTerms.size >= MIN_OVERLAP_RATIO;
+            })
+            .map(passage => toCitation(passage, 'overlap'));
+    }
+
+    // Computed results support the answer as much as any rulebook passage
+    citations = [...toolPassages.map(passage => toCitation(passage, 'tool')), ...citations];
+
+    return { citations, grounded: citations.length > 0 };
+}
+
+module.exports = { CitationStripper, resolveCitations };
@@ -0,0 +1,855 @@
+/**
+ * Game Expert Base Class
+ * Defines the interface every game module under src/games/ implements so the
+ * server can discover it and route questions to it without game-specific code
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RulesIndex = require('./rules-index');
+const CardCatalog = require('./card-catalog');
+const { normalize: normalizeCardText } = CardCatalog;
+const { resolveCitations } = require('./citations');
+const { logger } = require('../backend/logger');
+
+// Number of rulebook passages retrieved for each question
+const RULES_TOP_K = parseInt(process.env.RULES_TOP_K, 10) || 4;
+
+// Most cards whose data is added to the prompt for one question
+const MAX_CARDS_PER_QUESTION = 5;
+
+// Questions with fewer search terms than this are treated as follow-ups
+const FOLLOW_UP_MIN_TERMS = 4;
+
+// Most rounds of tool calls before the model is made to answer with what it has
+const MAX_TOOL_ROUNDS = 3;
+
+// Name of the tool the model uses to record changes to the table's game state
+const TABLE_TOOL = 'update_table_state';
+
+// Name of the tool the model uses to add and remove the table's house rules
+const HOUSE_RULES_TOOL = 'update_house_rules';
+
+// Source given to house rule passages, which override every other source
+const HOUSE_RULES_SOURCE = 'house rules';
+
+// Kinds of set: exactly one edition is in play, alongside any number of expansions
+const SET_TYPES = ['edition', 'expansion'];
+
+// Words that point a question at the people at the table rather than the rules alone
+const TABLE_REFERENCE_WORDS = new Set([
+    'i', 'me', 'my', 'mine', 'we', 'us', 'our', 'he', 'him', 'his', 'she', 'her',
+    'they', 'them', 'their', 'who', 'whose'
+]);
+
+// Words that lean on an earlier question, as in "what about Elves?" or "does the same go for Dwarves?"
+const FOLLOW_UP_WORDS = new Set(['and', 'about', 'also', 'same', 'instead', 'too', 'else', 'it', 'that', 'those', 'them', 'then']);
+
+// Negations spelled out before normalizing, so "can't I" and "can I" are different questions
+const NEGATIONS = [[/\bcan't\b/g, 'cannot'], [/\bwon't\b/g, 'will not'], [/n't\b/g, ' not']];
+
+// English names of languages, for telling the model which one to answer in
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Words asked about in different ways that mean the same thing for caching answers
+const QUESTION_SYNONYMS = { fight: 'combat', battle: 'combat', tied: 'tie', flee: 'run', escape: 'run' };
+
+// Groups of words that mean the same thing in rules questions, so the offline
+// search for "flee" also finds the "Running Away" rules
+const SEARCH_SYNONYMS = [
+    ['combat', 'fight', 'battle', 'attack'],
+    ['run', 'flee', 'escape'],
+    ['tie', 'tied', 'draw', 'equal'],
+    ['die', 'dies', 'death', 'dead', 'killed'],
+    ['help', 'helper', 'assist'],
+    ['win', 'winner', 'victory'],
+    ['item', 'gear', 'equipment'],
+    ['start', 'setup', 'begin'],
+    ['curse', 'hex', 'jinx'],
+    ['limit', 'maximum', 'excess']
+];
+
+// Offline answers quote at most this many sentences, from at most this many passages
+const OFFLINE_ANSWER_SENTENCES = 3;
+const OFFLINE_ANSWER_PASSAGES = 2;
+
+// Rulebook passages considered for an offline answer, and the share of the best
+// passage's score another passage needs to be quoted alongside it
+const OFFLINE_CANDIDATE_PASSAGES = 6;
+const OFFLINE_MIN_RELATIVE_SCORE = 0.6;
+
+// How offline answers begin, so players know the AI wasn't involved
+const OFFLINE_ANSWER_PREFIX = "I can't reach the AI right now, but here's what the rules say:";
+
+/**
+ * Short hash of a value, for telling versions of the knowledge base apart
+ * @param {*} value - Anything JSON can represent
+ * @returns {string} - 16 hex characters
+ */
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+class GameExpert {
+    /**
+     * @param {Object} chatProvider - Chat provider used for LLM calls (see src/backend/providers/)
+     * @param {Object} info - Static game metadata
+     * @param {string} info.id - Unique identifier used by the client and registry
+     * @param {string} info.name - Display name of the game
+     * @param {string} info.version - Edition or version of the rules covered
+     * @param {string} info.rulesDir - Optional folder of rulebook/FAQ/errata text to index
+     * @param {string} info.cardsFile - Optional JSON card catalog for card-name lookups
+     * @param {string} info.setsDir - Optional folder of editions and expansions, one subfolder each (see loadSets())
+     * @param {string} info.termsFile - Optional JSON glossary of game terms in other languages (see loadTerms())
+     */
+    constructor(chatProvider, { id, name, version, rulesDir = null, cardsFile = null, setsDir = null, termsFile = null }) {
+        if (new.target === GameExpert) {
+            throw new Error('GameExpert is abstract and cannot be instantiated directly');
+        }
+
+        this.gameId = id;
+        this.gameName = name;
+        this.gameVersion = version;
+        this.chat = chatProvider;
+        this.rulesIndex = rulesDir ? RulesIndex.fromDirectory(rulesDir) : new RulesIndex();
+        this.cardCatalog = cardsFile ? CardCatalog.fromFile(cardsFile) : new CardCatalog();
+        this.sets = setsDir ? this.loadSets(setsDir) : [];
+        this.terms = termsFile ? this.loadTerms(termsFile) : [];
+    }
+
+    /**
+     * Load a glossary of game terms in other languages, as
+     * { "de": { "Fluch": "curse", ... }, "es": { "maldición": "curse", ... } }
+     * @param {string} termsFile - Path to the glossary
+     * @returns {Array<Object>} - Terms as { language, term, english, normalized }
+     */
+    loadTerms(termsFile) {
+        if (!fs.existsSync(termsFile)) {
+            return [];
+        }
+
+        const glossary = JSON.parse(fs.readFileSync(termsFile, 'utf8'));
+        return Object.entries(glossary).flatMap(([language, terms]) =>
+            Object.entries(terms).map(([term, english]) => ({ language, term, english, normalized: normalizeCardText(term) })));
+    }
+
+    /**
+     * Find the glossary terms used in a piece of text, so "Fluch" is searched as "curse"
+     * @param {string} text - Question or search query
+     * @returns {Array<Object>} - Terms as { language, term, english }
+     */
+    findTerms(text) {
+        const spaced = ` ${normalizeCardText(text)} `;
+        return this.terms.filter(({ normalized }) => spaced.includes(` ${normalized} `));
+    }
+
+    /**
+     * Load the editions and expansions in a folder. Each subfolder is one set with
+     * a set.json ({ name, type: "edition" | "expansion", default, description }) and
+     * optionally its own rules/ folder and cards.json, which are added to the rules
+     * index and card catalog tagged with the set's id (the subfolder name).
+     * @param {string} setsDir - Folder of sets
+     * @returns {Array<Object>} - Sets as { id, name, type, default, description }, editions first
+     */
+    loadSets(setsDir) {
+        if (!fs.existsSync(setsDir)) {
+            return [];
+        }
+
+        const sets = fs.readdirSync(setsDir)
+            .filter(entry => fs.existsSync(path.join(setsDir, entry, 'set.json')))
+            .sort()
+            .map(setId => {
+                const setDir = path.join(setsDir, setId);
+                const manifest = JSON.parse(fs.readFileSync(path.join(setDir, 'set.json'), 'utf8'));
+                if (!SET_TYPES.includes(manifest.type)) {
+                    throw new Error(`Set ${setId} has type "${manifest.type}"; expected one of: ${SET_TYPES.join(', ')}`);
+                }
+
+                this.rulesIndex.addDirectory(path.join(setDir, 'rules'), { set: setId, sourcePrefix: `${setId}/` });
+                this.cardCatalog.addFile(path.join(setDir, 'cards.json'), { set: setId, source: `${setId}/cards.json` });
+
+                return {
+                    id: setId,
+                    name: manifest.name,
+                    type: manifest.type,
+                    default: Boolean(manifest.default),
+                    description: manifest.description || ''
+                };
+            });
+
+        return [...sets.filter(set => set.type === 'edition'), ...sets.filter(set => set.type === 'expansion')];
+    }
+
+    /**
+     * Sets in play when a session hasn't chosen any: the default edition (or the
+     * first one) and any expansions marked as default
+     * @returns {Array<string>} - Set ids
+     */
+    defaultSets() {
+        const editions = this.sets.filter(set => set.type === 'edition');
+        const edition = editions.find(set => set.default) || editions[0];
+
+        return this.sets
+            .filter(set => set === edition || (set.type === 'expansion' && set.default))
+            .map(set => set.id);
+    }
+
+    /**
+     * Check a choice of sets, filling in the default edition when none is chosen
+     * @param {Array<string>} setIds - Chosen edition and expansion ids
+     * @returns {Array<string>} - Valid set ids in catalog order
+     */
+    resolveSets(setIds = []) {
+        if (!Array.isArray(setIds)) {
+            throw new Error('Sets must be a list of set ids');
+        }
+
+        const unknown = setIds.filter(setId => !this.sets.some(set => set.id === setId));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ${this.gameName} set: ${unknown.join(', ')}`);
+        }
+
+        const chosen = this.sets.filter(set => setIds.includes(set.id));
+        const editions = chosen.filter(set => set.type === 'edition');
+        if (editions.length > 1) {
+            throw new Error(`Only one edition can be in play, not ${editions.map(set => set.name).join(' and ')}`);
+        }
+
+        const defaults = this.defaultSets();
+        const edition = editions[0] || this.sets.find(set => set.type === 'edition' && defaults.includes(set.id));
+        return [
+            ...(edition ? [edition.id] : []),
+            ...chosen.filter(set => set.type === 'expansion').map(set => set.id)
+        ];
+    }
+
+    /**
+     * Build the search query for a question, adding the previous question to short follow-ups
+     * @param {string} question - The user's question
+     * @param {Array<Object>} history - Earlier chat messages
+     * @returns {string} - Search query
+     */
+    buildSearchQuery(question, history = []) {
+        let query = question;
+
+        // "What about Elves?" alone says little; search with the previous question too
+        if (this.isFollowUp(question)) {
+            const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+            if (previousQuestion) {
+                query = `${question} ${previousQuestion.content}`;
+            }
+        }
+
+        // The rulebooks are in English, so search for the English names of translated terms too
+        const translations = this.findTerms(query).map(({ english }) => english);
+        return translations.length > 0 ? `${query} ${translations.join(' ')}` : query;
+    }
+
+    /**
+     * Whether a question is too short to stand on its own, like "What about Elves?"
+     * @param {string} question - The user's question
+     */
+    isFollowUp(question) {
+        return RulesIndex.tokenize(question).length < FOLLOW_UP_MIN_TERMS;
+    }
+
+    /**
+     * Reduce a question to what decides its answer, so "What happens on a tie?" and
+     * "what happens if you tie" match: lowercase stemmed terms without filler
+     * words or punctuation, with negations kept and synonyms merged
+     * @param {string} question - The user's question
+     * @returns {string} - Normalized question
+     */
+    normalizeQuestion(question) {
+        const spelledOut = NEGATIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), question.toLowerCase().replace(/’/g, "'"));
+        return RulesIndex.tokenize(spelledOut)
+            .map(term => QUESTION_SYNONYMS[term] || term)
+            .join(' ');
+    }
+
+    /**
+     * Key under which the answer to a question can be cached and reused. It covers
+     * the normalized question, the sets in play, the house rules, the table state
+     * given to the model (levels, races, classes, gear) and the version of the
+     * knowledge base. Questions whose answer depends on more than that get no key:
+     * follow-ups leaning on earlier questions, and questions about the players at
+     * the table.
+     * @param {string} question - The user's question
+     * @param {Object} context - Per-session context, as passed to processQuestion()
+     * @returns {string|null} - Cache key, or null if the answer shouldn't be reused
+     */
+    answerCacheKey(question, { history = [], tableState = null, sets = null, language = 'en' } = {}) {
+        const normalized = this.normalizeQuestion(question);
+        const words = question.toLowerCase().match(/[a-z0-9]+/g) || [];
+        const leansOnHistory = history.length > 0 &&
+            (!normalized.includes(' ') || words.some(word => FOLLOW_UP_WORDS.has(word)));
+        if (!normalized || leansOnHistory) {
+            return null;
+        }
+
+        if (tableState && tableState.players.length > 0) {
+            const spaced = ` ${words.join(' ')} `;
+            const mentionsPlayer = tableState.players.some(player => spaced.includes(` ${player.name.toLowerCase()} `));
+            if (mentionsPlayer || words.some(word => TABLE_REFERENCE_WORDS.has(word))) {
+                return null;
+            }
+        }
+
+        const houseRules = tableState ? tableState.houseRules.map(rule => rule.toLowerCase()) : [];
+        // "Can I win now?" has a different answer at every level
+        const table = tableState ? fingerprint(this.formatTableState(tableState)) : null;
+        return JSON.stringify([this.gameId, this.knowledgeVersion, sets || this.defaultSets(), houseRules, table, language, normalized]);
+    }
+
+    /**
+     * Fingerprint of everything answers are drawn from: the rulebook passages, card
+     * data, sets and system prompt. It changes whenever the knowledge base does, which
+     * retires answers cached from the old one.
+     * @returns {string} - Short hash
+     */
+    get knowledgeVersion() {
+        if (!this.cachedKnowledgeVersion) {
+            this.cachedKnowledgeVersion = fingerprint({ rules: this.rulesVersion, prompt: this.promptVersion });
+        }
+        return this.cachedKnowledgeVersion;
+    }
+
+    /**
+     * Fingerprint of the rulebook passages, card data, sets and glossary alone, so
+     * evaluation runs can tell a knowledge base change from a prompt change
+     * @returns {string} - Short hash
+     */
+    get rulesVersion() {
+        if (!this.cachedRulesVersion) {
+            this.cachedRulesVersion = fingerprint({
+                rules: this.rulesIndex.chunks.map(({ source, heading, text, set }) => [source, heading, text, set]),
+                cards: this.cardCatalog.cards,
+                sets: this.sets,
+                terms: this.terms
+            });
+        }
+        return this.cachedRulesVersion;
+    }
+
+    /**
+     * Fingerprint of the system prompt, without any question's passages or table
+     * @returns {string} - Short hash
+     */
+    get promptVersion() {
+        if (!this.cachedPromptVersion) {
+            this.cachedPromptVersion = fingerprint(this.getSystemPrompt([], null, this.defaultSets()));
+        }
+        return this.cachedPromptVersion;
+    }
+
+    /**
+     * Find the cards and rulebook passages most relevant to a question. Data for
+     * cards named in the question comes first, followed by rulebook passages.
+     * @param {string} question - The user's question
+     * @param {Array<Object>} history - Earlier chat messages, used to expand short follow-ups
+     * @param {Array<string>} sets - Editions and expansions in play; other sets' cards and rules are left out
+     * @returns {Array<Object>} - Passages as { id, source, heading, text }
+     */
+    retrievePassages(question, history = [], sets = null) {
+        const query = this.buildSearchQuery(question, history);
+        const cards = this.cardCatalog.inSets(sets).findMentions(query, { limit: MAX_CARDS_PER_QUESTION });
+
+        return [
+            ...this.cardCatalog.toPassages(cards, 'cards.json'),
+            ...this.rulesIndex.search(query, { limit: RULES_TOP_K, sets })
+        ];
+    }
+
+    /**
+     * Turn the table's house rules into passages, so answers can cite them like
+     * rulebook passages. They go before the other passages in the prompt.
+     * @param {TableState} tableState - State of the game at the asking table
+     * @returns {Array<Object>} - Passages as { id, source, heading, text }
+     */
+    houseRulePassages(tableState) {
+        if (!tableState) {
+            return [];
+        }
+
+        return tableState.houseRules.map((rule, i) => ({
+            id: `house-rule#${i + 1}`,
+            source: HOUSE_RULES_SOURCE,
+            heading: `House rule ${i + 1}`,
+            text: rule
+        }));
+    }
+
+    /**
+     * Combine an answer with the passages and tool results that support it
+     * @param {string} answer - Answer text without citation markers
+     * @param {Array<Object>} passages - Passages numbered in the prompt
+     * @param {Array<number>} citedNumbers - 1-based passage numbers the model cited
+     * @param {Array<Object>} toolResults - Tool calls made while answering, from runCompletion()
+     * @returns {Object} - { answer, citations, grounded } where grounded is false when no source supports the answer
+     */
+    buildAnswer(answer, passages, citedNumbers = [], toolResults = []) {
+        const toolPassages = toolResults
+            .filter(result => !result.error)
+            .map(result => this.describeToolResult(result));
+
+        return { answer, ...resolveCitations(answer, passages, citedNumbers, toolPassages) };
+    }
+
+    /**
+     * Tools the model may call while answering, in OpenAI function-calling format.
+     * Subclasses adding their own tools should include super.getTools(context).
+     * @param {Object} context - Per-session context passed to processQuestion()
+     * @returns {Array<Object>} - Tool definitions; the table state and house rules tools when the session has a table
+     */
+    getTools(context = {}) {
+        if (!context.tableState) {
+            return [];
+        }
+
+        return [{
+            type: 'function',
+            function: {
+                name: TABLE_TOOL,
+                description: 'Record a change to the game being played at this table, e.g. "Alex is now level 7" or ' +
+                    '"I equipped the Boots of Butt-Kicking". Players are added the first time they are mentioned.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        updates: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    player: { type: 'string', description: 'Player name as listed in the table state' },
+                                    rename: { type: 'string', description: 'New name for the player' },
+                                    level: { type: 'integer', description: 'New level' },
+                                    levelChange: { type: 'integer', description: 'Levels gained (positive) or lost (negative)' },
+                                    races: { type: 'array', items: { type: 'string' }, description: 'Replaces the player\'s races' },
+                                    classes: { type: 'array', items: { type: 'string' }, description: 'Replaces the player\'s classes' },
+                                    equip: { type: 'array', items: { type: 'string' }, description: 'Items the player equipped' },
+                                    unequip: { type: 'array', items: { type: 'string' }, description: 'Items the player lost, sold or took off' },
+                                    remove: { type: 'boolean', description: 'The player left the game' }
+                                },
+                                required: ['player']
+                            }
+                        },
+                        currentTurn: { type: 'string', description: 'Name of the player whose turn it now is' }
+                    }
+                }
+            }
+        }, {
+            type: 'function',
+            function: {
+                name: HOUSE_RULES_TOOL,
+                description: 'Add or remove one of this table\'s house rules, e.g. "add house rule: hand limit is 6" or ' +
+                    '"drop house rule 2". Only call it when the players ask to change their house rules.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        add: { type: 'array', items: { type: 'string' }, description: 'House rules to add, each as one short sentence' },
+                        remove: { type: 'array', items: { type: 'integer' }, description: 'Numbers of the house rules to remove, as listed in the prompt' }
+                    }
+                }
+            }
+        }];
+    }
+
+    /**
+     * Run a tool the model called. Subclasses handle their own tools and pass others to super.
+     * @param {string} name - Function name from getTools()
+     * @param {Object} args - Parsed arguments
+     * @param {Object} context - Per-session context passed to processQuestion()
+     * @returns {Object} - Result returned to the model as JSON
+     */
+    async executeTool(name, args, context = {}) {
+        if (name === TABLE_TOOL && context.tableState) {
+            const changes = context.tableState.applyChanges(args);
+            return { changes, table: context.tableState.describe() };
+        }
+        if (name === HOUSE_RULES_TOOL && context.tableState) {
+            const changes = context.tableState.applyChanges({ addHouseRules: args.add, removeHouseRules: args.remove });
+            return { changes, houseRules: context.tableState.describeHouseRules() };
+        }
+        throw new Error(`Unknown tool: ${name}`);
+    }
+
+    /**
+     * Shape a tool result as a passage so it can be shown as a citation
+     * @param {Object} result - { name, arguments, output } from runCompletion()
+     * @returns {Object} - Passage as { id, source, heading, text }
+     */
+    describeToolResult(result) {
+        if (result.name === TABLE_TOOL) {
+            return {
+                id: `tool#${TABLE_TOOL}`,
+                source: 'table state',
+                heading: 'Table updated',
+                text: result.output.changes.join('\n') || 'No changes'
+            };
+        }
+        if (result.name === HOUSE_RULES_TOOL) {
+            return {
+                id: `tool#${HOUSE_RULES_TOOL}`,
+                source: HOUSE_RULES_SOURCE,
+                heading: 'House rules updated',
+                text: result.output.changes.join('\n') || 'No changes'
+            };
+        }
+
+        return {
+            id: `tool#${result.name}`,
+            source: 'calculator',
+            heading: result.name,
+            text: JSON.stringify(result.output)
+        };
+    }
+
+    /**
+     * Run a chat completion, executing any tools the model calls and asking again
+     * with their results until it answers in text
+     * @param {Object} request - Chat completion request (model, messages, ...)
+     * @param {Object} options - Completion options
+     * @param {Function} options.onDelta - Streams the answer when given, called with each raw text delta
+     * @param {Object} options.context - Per-session context passed on to getTools() and executeTool()
+     * @param {Array<Object>} options.toolResults - Collects the tool calls made, so they outlive a completion that fails
+     * @returns {Object} - { content, toolResults } where content is the raw answer text
+     */
+    async runCompletion(request, { onDelta = null, context = {}, toolResults = [] } = {}) {
+        const tools = this.getTools(context);
+        const messages = [...request.messages];
+
+        for (let round = 0; ; round++) {
+            // Stop offering tools after the last round so the model has to answer
+            const offerTools = tools.length > 0 && round < MAX_TOOL_ROUNDS;
+            const roundRequest = { ...request, messages, ...(offerTools ? { tools } : {}) };
+
+            const { content, toolCalls } = onDelta
+                ? await this.chat.stream(roundRequest, onDelta)
+                : await this.chat.complete(roundRequest);
+
+            if (toolCalls.length === 0) {
+                return { content, toolResults };
+            }
+
+            messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+            for (const toolCall of toolCalls) {
+                const result = await this.callTool(toolCall, context);
+                toolResults.push(result);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: JSON.stringify(result.error ? { error: result.error } : result.output)
+                });
+            }
+        }
+    }
+
+    /**
+     * Execute one tool call, turning bad arguments or tool errors into a result the model can read
+     * @param {Object} toolCall - Tool call from the model
+     * @param {Object} context - Per-session context
+     * @returns {Object} - { name, arguments, output, error }
+     */
+    async callTool(toolCall, context) {
+        const name = toolCall.function.name;
+        let args = {};
+
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+            return { name, arguments: args, output: await this.executeTool(name, args, context), error: null };
+        } catch (error) {
+            logger.error('Tool call failed', { tool: name, error });
+            return { name, arguments: args, output: null, error: error.message };
+        }
+    }
+
+    /**
+     * Format retrieved passages for inclusion in a system prompt. House rules are
+     * left to formatHouseRules() but keep their place in the numbering.
+     * @param {Array<Object>} passages - Passages from houseRulePassages() and retrievePassages()
+     * @returns {string} - Numbered passages, or an empty string if there are none
+     */
+    formatPassages(passages) {
+        return passages
+            .map((passage, i) => ({ passage, number: i + 1 }))
+            .filter(({ passage }) => passage.source !== HOUSE_RULES_SOURCE)
+            .map(({ passage, number }) => `[${number}] ${passage.source} - ${passage.heading}\n${passage.text}`)
+            .join('\n\n');
+    }
+
+    /**
+     * Format the table's house rules for inclusion in a system prompt, ahead of
+     * the official rules they override
+     * @param {Array<Object>} passages - Passages from houseRulePassages() and retrievePassages()
+     * @param {TableState} tableState - State of the game at the asking table
+     * @returns {string} - Prompt section, or an empty string if there is no table
+     */
+    formatHouseRules(passages, tableState) {
+        if (!tableState) {
+            return '';
+        }
+
+        const rules = passages
+            .map((passage, i) => ({ passage, number: i + 1 }))
+            .filter(({ passage }) => passage.source === HOUSE_RULES_SOURCE)
+            .map(({ passage, number }) => `[${number}] ${passage.text}`)
+            .join('\n') || '- None';
+        return `\nHOUSE RULES (this table's own rules; they override the official rules, card data and rulebook passages; ` +
+            `change them with ${HOUSE_RULES_TOOL}):\n${rules}\n`;
+    }
+
+    /**
+     * Process a user question about the game
+     * @param {string} question - The user's question
+     * @param {Object} context - Per-session context
+     * @param {Array<Object>} context.history - Earlier chat messages in this conversation
+     * @param {Function} context.onToken - Optional callback receiving answer text as it is generated
+     * @param {TableState} context.tableState - Optional state of the game at the asking table
+     * @param {Array<string>} context.sets - Editions and expansions in play, from resolveSets(); defaults to defaultSets()
+     * @param {string} context.language - ISO-639-1 code of the language to answer in; defaults to English
+     * @returns {Object} - { answer, citations, grounded }; see buildAnswer(). When the chat
+     *   provider fails, the answer from processQuestionFallback() with offline: true
+     */
+    async processQuestion(question, context = {}) {
+        throw new Error(`${this.constructor.name} must implement processQuestion()`);
+    }
+
+    /**
+     * Answer a question without the LLM, for when the chat provider is unreachable
+     * or over quota. Cards named in the question, the table's house rules and the
+     * rulebook are ranked together, and the sentences of the best passages that
+     * share the most words with the question are quoted under their headings.
+     * @param {string} question - The user's question
+     * @param {Object} context - Per-session context, as passed to processQuestion()
+     * @returns {Object} - { answer, citations, grounded, offline: true }; see buildAnswer()
+     */
+    processQuestionFallback(question, { history = [], tableState = null, sets = null } = {}) {
+        const setsInPlay = sets || this.defaultSets();
+        const query = this.buildSearchQuery(question, history);
+        const cards = this.cardCatalog.inSets(setsInPlay).findMentions(query, { limit: MAX_CARDS_PER_QUESTION });
+
+        // Card names stand in for the words that matched them, so "elves" also finds the Elf rules
+        const expandedQuery = this.expandSynonyms([query, ...cards.map(card => card.name)].join(' '));
+        const passages = this.rankPassages(expandedQuery, [
+            ...this.searchHouseRules(expandedQuery, tableState),
+            ...this.cardCatalog.toPassages(cards, 'cards.json'),
+            ...this.rulesIndex.search(expandedQuery, { limit: OFFLINE_CANDIDATE_PASSAGES, sets: setsInPlay })
+        ]).slice(0, OFFLINE_ANSWER_PASSAGES);
+
+        if (passages.length === 0) {
+            return { answer: this.getDefaultResponse(question), citations: [], grounded: false, offline: true };
+        }
+
+        const { text, usedPassages } = this.quoteBestSentences(expandedQuery, passages);
+        return { ...this.buildAnswer(`${OFFLINE_ANSWER_PREFIX} ${text}`, passages, usedPassages), offline: true };
+    }
+
+    /**
+     * Add the other words of each synonym group a query uses, e.g. "flee" adds "run" and "escape"
+     * @param {string} query - Search query
+     * @returns {string} - Query with synonyms appended
+     */
+    expandSynonyms(query) {
+        const terms = new Set(RulesIndex.tokenize(query));
+        const additions = SEARCH_SYNONYMS
+            .filter(group => group.some(word => RulesIndex.tokenize(word).some(term => terms.has(term))))
+            .flat();
+        return additions.length > 0 ? `${query} ${additions.join(' ')}` : query;
+    }
+
+    /**
+     * The table's house rules that share words with a query, as passages
+     * @param {string} query - Search query
+     * @param {TableState} tableState - State of the game at the asking table
+     * @returns {Array<Object>} - Passages as { id, source, heading, text }
+     */
+    searchHouseRules(query, tableState) {
+        const terms = new Set(RulesIndex.tokenize(query));
+        return this.houseRulePassages(tableState)
+            .filter(passage => RulesIndex.tokenize(passage.text).some(term => terms.has(term)));
+    }
+
+    /**
+     * Weigh how much of a query some terms cover; rarer words in the rulebook count for more
+     * @param {Set<string>} queryTerms - Terms of the query, from RulesIndex.tokenize()
+     * @param {Array<string>} terms - Terms of the text being weighed
+     * @returns {number} - Summed weight of the distinct query terms present
+     */
+    weighTerms(queryTerms, terms) {
+        return [...new Set(terms)]
+            .filter(term => queryTerms.has(term))
+            .reduce((sum, term) => sum + this.rulesIndex.inverseDocumentFrequency(term), 0);
+    }
+
+    /**
+     * Rank passages from different sources on one scale, by the query words they
+     * cover, counting words in a heading twice. Passages scoring well below the
+     * best one are dropped.
+     * @param {string} query - Search query
+     * @param {Array<Object>} passages - Passages as { id, source, heading, text }
+     * @returns {Array<Object>} - The passages worth quoting, best first
+     */
+    rankPassages(query, passages) {
+        const queryTerms = new Set(RulesIndex.tokenize(query));
+        const scored = passages
+            .map((passage, order) => ({
+                passage,
+                order,
+                score: this.weighTerms(queryTerms, RulesIndex.tokenize(passage.heading)) * 2 +
+                       this.weighTerms(queryTerms, RulesIndex.tokenize(passage.text))
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || a.order - b.order);
+
+        const cutoff = scored.length > 0 ? scored[0].score * OFFLINE_MIN_RELATIVE_SCORE : 0;
+        return scored
+            .filter(({ score }) => score >= cutoff)
+            .map(({ passage }) => passage);
+    }
+
+    /**
+     * Pick the sentences of some passages that share the most words with a query,
+     * keeping them in reading order under the heading of the passage they come from
+     * @param {string} query - Search query
+     * @param {Array<Object>} passages - Passages, best first
+     * @returns {Object} - { text, usedPassages } where usedPassages are the 1-based numbers of the passages quoted
+     */
+    quoteBestSentences(query, passages) {
+        const terms = new Set(RulesIndex.tokenize(query));
+        const sentences = passages.flatMap((passage, passageIndex) => passage.text
+            // Rejoin lines wrapped mid-sentence; a line starting a list entry stays separate
+            .replace(/([^\n])\n[ \t]*(?![-*\s]|\d+[.)]\s)/g, '$1 ')
+            .split(/\n+|(?<=[.!?])\s+/)
+            .map(sentence => sentence.replace(/^[-*\s]+/, '').trim())
+            .filter(Boolean)
+            .map((sentence, position) => ({
+                text: /[.!?]$/.test(sentence) ? sentence : `${sentence}.`,
+                passageIndex,
+                position,
+                score: this.weighTerms(terms, RulesIndex.tokenize(sentence))
+            })));
+
+        const best = sentences
+            .filter(sentence => sentence.score > 0)
+            .sort((a, b) => b.score - a.score || a.passageIndex - b.passageIndex || a.position - b.position)
+            .slice(0, OFFLINE_ANSWER_SENTENCES);
+        // Too few sentences share words with the query, e.g. when a card or section is
+        // named and little else; the rest of the best passage gives them context
+        sentences
+            .filter(sentence => sentence.passageIndex === 0 && !best.includes(sentence))
+            .slice(0, OFFLINE_ANSWER_SENTENCES - best.length)
+            .forEach(sentence => best.push(sentence));
+
+        const usedPassages = [...new Set(best.map(sentence => sentence.passageIndex))].sort((a, b) => a - b);
+        const text = usedPassages.map(passageIndex => {
+            const quote = best
+                .filter(sentence => sentence.passageIndex === passageIndex)
+                .sort((a, b) => a.position - b.position)
+                .map(sentence => sentence.text)
+                .join(' ');
+            // "Core Rules > Combat > Running Away" reads as "Running Away", "Race: Elf" as "Elf"
+            // and the knowledge key "commonQuestions > handLimit" as "Hand limit"
+            const subject = passages[passageIndex].heading.split(' > ').pop().split(': ').pop()
+                .replace(/([a-z])([A-Z])/g, (match, last, next) => `${last} ${next.toLowerCase()}`)
+                .replace(/^[a-z]/, letter => letter.toUpperCase());
+            if (quote.toLowerCase().startsWith(subject.toLowerCase())) {
+                return quote;
+            }
+            return /[.!?]$/.test(subject) ? `${subject} ${quote}` : `${subject}: ${quote}`;
+        }).join(' ');
+
+        return { text, usedPassages: usedPassages.map(passageIndex => passageIndex + 1) };
+    }
+
+    /**
+     * Answer given offline when nothing in the rules matches the question
+     * @param {string} question - The user's question
+     * @returns {string} - Apology asking the player to try again
+     */
+    getDefaultResponse(question) {
+        return `I can't reach the AI right now, and I couldn't find anything about "${question}" in the ${this.gameName} rules. ` +
+               "Try asking with different words, or again in a moment.";
+    }
+
+    /**
+     * Format the table's game state for inclusion in a system prompt
+     * @param {TableState} tableState - State of the game at the asking table
+     * @returns {string} - Prompt section, or an empty string if there is no table
+     */
+    formatTableState(tableState) {
+        if (!tableState) {
+            return '';
+        }
+
+        const players = tableState.describe() || '- No players recorded yet';
+        return `\nTABLE STATE (the game being played right now; keep it current with ${TABLE_TOOL}):\n${players}\n`;
+    }
+
+    /**
+     * Format which editions and expansions are in play for inclusion in a system prompt
+     * @param {Array<string>} sets - Set ids in play
+     * @returns {string} - Prompt section, or an empty string if the game has no sets
+     */
+    formatSets(sets) {
+        if (this.sets.length === 0) {
+            return '';
+        }
+
+        const describe = set => `- ${set.name} (${set.type})${set.description ? `: ${set.description}` : ''}`;
+        const inPlay = this.sets.filter(set => sets.includes(set.id)).map(describe);
+        const notInPlay = this.sets.filter(set => !sets.includes(set.id)).map(describe);
+
+        return `\nSETS IN PLAY (the base game plus these):\n${inPlay.join('\n') || '- Base game only'}\n` +
+            (notInPlay.length > 0 ? `NOT IN PLAY (do not use or cite their cards, races, classes or rules):\n${notInPlay.join('\n')}\n` : '');
+    }
+
+    /**
+     * Format the language to answer in for inclusion in a system prompt, with the
+     * glossary of that language's names for game terms
+     * @param {string} language - ISO-639-1 code of the players' language
+     * @returns {string} - Prompt section, or an empty string for English
+     */
+    formatLanguage(language) {
+        if (!language || language === 'en') {
+            return '';
+        }
+
+        const name = LANGUAGE_NAMES.of(language);
+        const glossary = this.terms
+            .filter(term => term.language === language)
+            .map(({ term, english }) => `- ${english}: ${term}`)
+            .join('\n');
+        return `\nLANGUAGE: The players speak ${name}. Answer in ${name}, even though the rules and card data here are in English. ` +
+            `Use the ${name} names of game terms${glossary ? ':\n' + glossary : ''}\n`;
+    }
+
+    /**
+     * Generate the system prompt sent to GPT
+     * @param {Array<Object>} passages - Rulebook passages relevant to the current question
+     * @param {TableState} tableState - Optional state of the game at the asking table
+     * @param {Array<string>} sets - Editions and expansions in play
+     * @param {string} language - ISO-639-1 code of the language to answer in
+     * @returns {string} - System prompt
+     */
+    getSystemPrompt(passages = [], tableState = null, sets = [], language = 'en') {
+        throw new Error(`${this.constructor.name} must implement getSystemPrompt()`);
+    }
+
+    /**
+     * Get game information
+     * @returns {Object} - Public metadata describing the game
+     */
+    getGameInfo() {
+        return {
+            id: this.gameId,
+            name: this.gameName,
+            version: this.gameVersion,
+            sets: this.sets,
+            defaultSets: this.defaultSets()
+        };
+    }
+}
+
+module.exports = GameExpert;
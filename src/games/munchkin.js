@@ -3,12 +3,46 @@
  * Contains game-specific rules, knowledge base, and response logic for Steve Jackson Games' Munchkin
  */
 
-class MunchkinExpert {
-    constructor(openaiClient) {
-        this.gameName = "Steve Jackson Games' Munchkin";
-        this.gameVersion = "Classic Munchkin";
+const path = require('path');
+const GameExpert = require('./game-expert');
+const { CitationStripper } = require('./citations');
+const CombatCalculator = require('./munchkin/combat');
+const { logger } = require('../backend/logger');
+
+// Name of the combat calculator tool offered to the model
+const COMBAT_TOOL = 'resolve_munchkin_combat';
+
+// JSON schema for one player in a fight
+const COMBATANT_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', description: 'Who this is, e.g. "Player" or "Helper"' },
+        level: { type: 'integer', description: 'Character level' },
+        gearBonus: { type: 'integer', description: 'Total bonus from equipped items not listed by name in items' },
+        items: { type: 'array', items: { type: 'string' }, description: 'Names of equipped items, looked up in the card data' },
+        races: { type: 'array', items: { type: 'string' }, description: 'Races, e.g. ["Elf"]' },
+        classes: { type: 'array', items: { type: 'string' }, description: 'Classes, e.g. ["Warrior"]' },
+        oneShotBonus: { type: 'integer', description: 'Total bonus from one-shot items this player uses in the fight' },
+        abilityDiscards: { type: 'integer', description: 'Cards discarded for Warrior Berserking or Cleric Turning (max 3)' }
+    },
+    required: ['level']
+};
+
+class MunchkinExpert extends GameExpert {
+    constructor(chatProvider) {
+        super(chatProvider, {
+            id: 'munchkin',
+            name: "Steve Jackson Games' Munchkin",
+            version: "Classic Munchkin",
+            rulesDir: path.join(__dirname, 'munchkin', 'rules'),
+            cardsFile: path.join(__dirname, 'munchkin', 'cards.json'),
+            setsDir: path.join(__dirname, 'munchkin', 'sets'),
+            termsFile: path.join(__dirname, 'munchkin', 'terms.json')
+        });
         this.rulesKnowledge = this.initializeRulesKnowledge();
-        this.openai = openaiClient;
+
+        // The built-in summary is searchable and citable alongside the rulebook files
+        this.rulesIndex.addKnowledge('rulesKnowledge', this.rulesKnowledge);
     }
 
     /**
@@ -35,7 +69,7 @@ class MunchkinExpert {
             },
 
             combat: {
-                basics: "Player combat strength + equipment vs Monster level + any bonuses",
+                basics: "Player level + equipment bonuses vs Monster level + any bonuses. You must beat the monster; ties go to the monster unless you are a Warrior",
                 helpingInCombat: "Other players can help for a share of treasure",
                 runAway: "Roll 5 or higher on a d6 to escape (4+ if you're an Elf)",
                 winCombat: "Gain levels and treasure as specified on monster card",
@@ -53,20 +87,37 @@ class MunchkinExpert {
     }
 
     /**
-     * Process a user question about Munchkin rules using OpenAI GPT
+     * Process a user question about Munchkin rules using the configured chat model
      * @param {string} question - The user's question about Munchkin
-     * @returns {string} - AI-generated response about the rule
+     * @param {Object} context - Per-session context
+     * @param {Array<Object>} context.history - Earlier chat messages, so follow-ups keep their context
+     * @param {Function} context.onToken - Called with each text delta when streaming the answer
+     * @param {TableState} context.tableState - Players and house rules at the asking table, read and updated through tools
+     * @param {Array<string>} context.sets - Editions and expansions in play
+     * @returns {Object} - { answer, citations, grounded } for the AI-generated response
      */
-    async processQuestion(question) {
+    async processQuestion(question, { history = [], onToken = null, tableState = null, sets = null, language = 'en' } = {}) {
+        const setsInPlay = sets || this.defaultSets();
+        const toolContext = { tableState, sets: setsInPlay };
+        const citationStripper = new CitationStripper();
+        // Tool calls made so far, kept for an answer that fails partway
+        const toolResults = [];
+        let streamedText = '';
+        let passages = [];
+
         try {
-            // Use OpenAI GPT to generate intelligent responses
-            const response = await this.openai.chat.completions.create({
-                model: process.env.OPENAI_GPT_MODEL || 'gpt-3.5-turbo',
+            // Pull the table's house rules and the rulebook passages that best match
+            // this question into the prompt
+            passages = [...this.houseRulePassages(tableState), ...this.retrievePassages(question, history, setsInPlay)];
+
+            // Use the configured chat model to generate intelligent responses
+            const request = {
                 messages: [
                     {
                         role: 'system',
-                        content: this.getSystemPrompt()
+                        content: this.getSystemPrompt(passages, tableState, setsInPlay, language)
                     },
+                    ...history,
                     {
                         role: 'user',
                         content: question
@@ -74,101 +125,156 @@ class MunchkinExpert {
                 ],
                 max_tokens: 300,
                 temperature: 0.7
+            };
+
+            if (!onToken) {
+                const { content } = await this.runCompletion(request, { context: toolContext, toolResults });
+                const answer = citationStripper.strip(content).trim();
+                return this.buildAnswer(answer, passages, citationStripper.getCitedNumbers(), toolResults);
+            }
+
+            // Stream the answer so the caller can show and speak it as it arrives,
+            // with citation markers removed before they reach the listener
+            await this.runCompletion(request, {
+                context: toolContext,
+                toolResults,
+                onDelta: text => {
+                    const delta = citationStripper.push(text);
+                    if (delta) {
+                        streamedText += delta;
+                        onToken(delta);
+                    }
+                }
             });
 
-            return response.choices[0].message.content.trim();
+            const tail = citationStripper.flush();
+            if (tail) {
+                streamedText += tail;
+                onToken(tail);
+            }
+
+            return this.buildAnswer(streamedText.trim(), passages, citationStripper.getCitedNumbers(), toolResults);
             
         } catch (error) {
-            console.error('GPT processing error:', error);
-            // Fallback to keyword-based processing if GPT fails
-            return this.processQuestionFallback(question);
-        }
-    }
+            logger.error('GPT processing failed', { gameId: this.gameId, error });
 
-    /**
-     * Fallback question processing using keyword matching
-     * @param {string} question - The user's question about Munchkin
-     * @returns {string} - Keyword-based response
-     */
-    processQuestionFallback(question) {
-        // Convert question to lowercase for keyword matching
-        const lowerQuestion = question.toLowerCase();
-        
-        if (lowerQuestion.includes('curse') || lowerQuestion.includes('curses')) {
-            return this.explainCurseRules();
-        }
-        
-        if (lowerQuestion.includes('combat') || lowerQuestion.includes('fight') || lowerQuestion.includes('battle')) {
-            return this.explainCombatRules();
-        }
-        
-        if (lowerQuestion.includes('level') || lowerQuestion.includes('win')) {
-            return this.explainLevelingAndWinning();
-        }
-        
-        if (lowerQuestion.includes('setup') || lowerQuestion.includes('start')) {
-            return this.explainGameSetup();
+            // Keep a partially streamed answer rather than contradicting it with a fallback
+            if (streamedText.trim()) {
+                return this.buildAnswer(streamedText.trim(), passages, citationStripper.getCitedNumbers(), toolResults);
+            }
+
+            // Answer from a local search of the rules if GPT fails
+            const fallback = this.processQuestionFallback(question, { history, tableState, sets: setsInPlay });
+            if (onToken) {
+                onToken(fallback.answer);
+            }
+            return fallback;
         }
-        
-        // Default response for unmatched questions
-        return this.getDefaultResponse(question);
     }
 
     /**
-     * Explain curse card rules
+     * Tools the model can call: the deterministic combat calculator, plus the table state tool
      */
-    explainCurseRules() {
-        return "Curse cards can be played on any player at any time, unless the specific curse card states otherwise. " +
-               "Most curses take effect immediately when played. Some curses affect items, others affect the player directly. " +
-               "You cannot curse yourself unless the card specifically allows it.";
+    getTools(context = {}) {
+        return [...super.getTools(context), {
+            type: 'function',
+            function: {
+                name: COMBAT_TOOL,
+                description: 'Resolve a Munchkin combat: total combat strength on each side, win or lose (monsters win ties unless ' +
+                    'the player is a Warrior), how much more is needed to win, and the odds of running away. Card names are ' +
+                    'looked up for their printed bonuses, so pass items, monsters and enhancers by name when they are known.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        player: { ...COMBATANT_SCHEMA, description: 'The player whose turn it is' },
+                        helpers: { type: 'array', items: COMBATANT_SCHEMA, description: 'Players helping in the fight' },
+                        monsters: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string', description: 'Monster card name' },
+                                    level: { type: 'integer', description: 'Monster level, if the card is unknown or the user gave it' },
+                                    enhancers: { type: 'array', items: { type: 'string' }, description: 'Monster enhancers played on it, e.g. ["Ancient"]' }
+                                }
+                            }
+                        },
+                        playerSideBonus: { type: 'integer', description: 'Bonuses other players put on the players\' side' },
+                        monsterSideBonus: { type: 'integer', description: 'Bonuses played for the monsters, e.g. potions thrown at the player' },
+                        runAwayBonus: { type: 'integer', description: 'Run Away bonus from cards not listed in the player\'s items' },
+                        flightSpellDiscards: { type: 'integer', description: 'Cards a Wizard discards for Flight Spell (max 3)' },
+                        dieRollModifier: { type: 'integer', description: 'Modifier to die rolls, e.g. -1 for Chicken on Your Head' },
+                        playersWinTies: { type: 'boolean', description: 'Set when a house rule gives ties to the players' }
+                    },
+                    required: ['player', 'monsters']
+                }
+            }
+        }];
     }
 
     /**
-     * Explain combat mechanics
+     * Run the combat calculator for the model, with the cards of the sets in play
      */
-    explainCombatRules() {
-        return "In combat, add your Level plus your equipment bonuses to fight the monster. " +
-               "If your total equals or exceeds the monster's level, you win! " +
-               "Other players can help you for a share of the treasure. " +
-               "If you lose, you can try to Run Away by rolling 5 or higher on a d6 (Elves need 4+). " +
-               "If you fail to run away, you face the Bad Stuff on the monster card.";
+    async executeTool(name, args, context = {}) {
+        if (name !== COMBAT_TOOL) {
+            return super.executeTool(name, args, context);
+        }
+        return new CombatCalculator(this.cardCatalog.inSets(context.sets || null)).resolve(args);
     }
 
     /**
-     * Explain leveling and winning
+     * Summarize a combat result for the citation shown with the answer
      */
-    explainLevelingAndWinning() {
-        return "You gain levels primarily by killing monsters - usually 1 level per monster, but some give more. " +
-               "Certain cards can also give you levels. " +
-               "The first player to reach Level 10 wins the game! " +
-               "However, you must reach Level 10 through combat - you cannot win with a card effect or 'Go Up a Level' card.";
-    }
+    describeToolResult(result) {
+        if (result.name !== COMBAT_TOOL) {
+            return super.describeToolResult(result);
+        }
 
-    /**
-     * Explain game setup
-     */
-    explainGameSetup() {
-        return "Shuffle the Door and Treasure decks separately. " +
-               "Deal 4 Door cards and 4 Treasure cards to each player. " +
-               "Everyone starts at Level 1 with no class or race. " +
-               "The player with the most unusual hair goes first, or roll dice to determine starting player. " +
-               "Place both decks within reach of all players.";
-    }
+        const { output } = result;
+        const lines = [
+            `Players ${output.playerStrength} vs monsters ${output.monsterStrength}: ` +
+                (output.outcome === 'win' ? 'the players win.' : `the players lose and need ${output.neededToWin} more to win.`),
+            ...output.playerBreakdown.map(({ source, value }) => `  ${source}: ${value >= 0 ? '+' : ''}${value}`),
+            ...output.monsterBreakdown.map(({ source, value }) => `  ${source}: ${value >= 0 ? '+' : ''}${value}`)
+        ];
+        if (output.tieRule) {
+            lines.push(output.tieRule);
+        }
+        if (output.runAway) {
+            lines.push(`Chance to run away from everything: ${Math.round(output.runAway.escapeAllProbability * 100)}%`);
+        }
 
-    /**
-     * Default response for unrecognized questions
-     */
-    getDefaultResponse(question) {
-        return `I heard your question about "${question}" but I'm not sure how to answer that specific Munchkin rule question yet. ` +
-               "Could you try rephrasing it, or ask about curses, combat, leveling, or game setup? " +
-               "My knowledge base is still growing!";
+        return {
+            id: `tool#${COMBAT_TOOL}`,
+            source: 'combat calculator',
+            heading: 'Combat result',
+            text: lines.join('\n')
+        };
     }
 
     /**
      * Generate system prompt for GPT with comprehensive Munchkin rules
+     * @param {Array<Object>} passages - Rulebook passages relevant to the current question
+     * @param {TableState} tableState - Players and house rules at the asking table, if any
+     * @param {Array<string>} sets - Editions and expansions in play
+     * @param {string} language - ISO-639-1 code of the language to answer in
      * @returns {string} - System prompt for GPT
      */
-    getSystemPrompt() {
+    getSystemPrompt(passages = [], tableState = null, sets = this.defaultSets(), language = 'en') {
+        const rulebookPassages = this.formatPassages(passages);
+        const rulebookSection = rulebookPassages
+            ? `\nCARD DATA AND RULEBOOK PASSAGES (most relevant to this question):\n${rulebookPassages}\n`
+            : '';
+
+        // Only questions from a table can read or update its state
+        const tableGuidelines = tableState
+            ? `- When someone tells you about a change in the game (levels, race/class, gear, whose turn it is), record it with update_table_state and briefly confirm it; "I" and "me" mean the player whose turn it is unless they say who they are
+- Answer questions about the players ("who's closest to winning?", "can I help Sam beat this?") from the table state, passing their levels, races, classes and gear to the combat calculator
+- The house rules replace any official rule they contradict. When one changes your ruling, say so plainly ("Under your house rule, ...") and cite it; mention the official rule only briefly, if at all
+- When someone adds or drops a house rule ("add house rule: hand limit is 6"), record it with update_house_rules and briefly confirm it
+`
+            : '';
+
         return `You are Hexpert, an AI assistant specializing in Steve Jackson Games' Munchkin board game rules. 
 
 You are knowledgeable about all aspects of Munchkin gameplay and should provide clear, accurate, and helpful answers to player questions.
@@ -177,24 +283,27 @@ GAME OVERVIEW:
 - Objective: Be the first player to reach Level 10
 - Players: 3-6 players (best with 4-5)
 - Components: Door cards, Treasure cards, dice, level counters
-
-KEY RULES KNOWLEDGE:
-${JSON.stringify(this.rulesKnowledge, null, 2)}
-
+${this.formatSets(sets)}${this.formatHouseRules(passages, tableState)}${rulebookSection}${this.formatTableState(tableState)}${this.formatLanguage(language)}
 RESPONSE GUIDELINES:
 - Be conversational and friendly, like a knowledgeable game expert
 - Give concise but complete answers
 - If a rule has exceptions or special cases, mention them
+- When the rulebook passages cover the question, base your answer on them; they take precedence over what you remember of the rules
+- Card data passages are the exact printed values for cards named in the question; use them instead of recalling card text from memory
+- Only use cards, races, classes and rules from the base game and the sets in play; if asked about something from a set that isn't in play, say which set it comes from and that it isn't in this game
+- For any question about whether a fight can be won, combat totals, or the odds of running away, call the ${COMBAT_TOOL} tool and base your answer on its result instead of doing the arithmetic yourself
+${tableGuidelines}- Cite the passages you relied on by number in square brackets right after the sentence they support, e.g. [2]; only cite passages that actually support what you say
 - If you're not certain about a specific rule interaction, say so
 - Keep responses under 200 words when possible
 - Use "you" to address the player directly
+- Treat short follow-ups ("what about if I'm an Elf?") as continuing the previous question
 
 EXAMPLE INTERACTIONS:
 User: "Can I curse myself?"
 Response: "Generally, no - most curse cards cannot be played on yourself unless the card specifically states otherwise. This prevents players from using curses strategically on themselves to avoid worse consequences."
 
 User: "What happens if I tie in combat?"
-Response: "If your total combat strength equals the monster's level exactly, you win the combat! You need to equal or exceed the monster's level to defeat it."
+Response: "The monster wins ties - you have to beat its total, not just match it. The exception is a Warrior, who wins ties in combat."
 
 Answer the user's Munchkin question now:`;
     }
@@ -204,8 +313,7 @@ Answer the user's Munchkin question now:`;
      */
     getGameInfo() {
         return {
-            name: this.gameName,
-            version: this.gameVersion,
+            ...super.getGameInfo(),
             setup: this.rulesKnowledge.setup
         };
     }
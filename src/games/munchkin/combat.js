@@ -0,0 +1,298 @@
+/**
+ * Munchkin Combat Calculator
+ * Resolves a fight deterministically (combat strength, ties, helpers, one-shots,
+ * monster enhancers) and computes the odds of running away, so answers to
+ * "can I beat a level 14 with these?" are computed rather than guessed
+ */
+
+// Roll needed on a d6 to run away without any bonuses
+const BASE_RUN_AWAY_TARGET = 5;
+
+// Most cards a Warrior may discard for Berserking, or a Cleric for Turning
+const MAX_ABILITY_DISCARDS = 3;
+
+/**
+ * Probability of rolling at least `target` on a d6
+ */
+function rollProbability(target) {
+    if (target <= 1) {
+        return 1;
+    }
+    if (target > 6) {
+        return 0;
+    }
+    return (7 - target) / 6;
+}
+
+/**
+ * Round a probability for display
+ */
+function roundProbability(probability) {
+    return Math.round(probability * 1000) / 1000;
+}
+
+class CombatCalculator {
+    /**
+     * @param {CardCatalog} cardCatalog - Catalog used to look up monsters, items and enhancers by name
+     */
+    constructor(cardCatalog) {
+        this.cardCatalog = cardCatalog;
+    }
+
+    /**
+     * Canonical race/class names for a combatant, resolved through the catalog ("elves" -> "Elf")
+     */
+    resolveTraits(names = [], category) {
+        return names.filter(Boolean).map(name => {
+            const card = this.cardCatalog.lookup(name, category);
+            return card ? card.name : name;
+        });
+    }
+
+    /**
+     * Work out one combatant's strength with a line-by-line breakdown
+     * @param {Object} combatant - { name, level, gearBonus, items, races, classes, oneShotBonus, abilityDiscards }
+     * @param {Object} context - { undeadPresent, label }
+     */
+    combatantStrength(combatant, { undeadPresent, label }) {
+        const races = this.resolveTraits(combatant.races, 'races');
+        const classes = this.resolveTraits(combatant.classes, 'classes');
+        const breakdown = [{ source: `${label} level`, value: combatant.level || 1 }];
+        const unknownItems = [];
+        let runAwayBonus = 0;
+
+        if (combatant.gearBonus) {
+            breakdown.push({ source: `${label} gear`, value: combatant.gearBonus });
+        }
+
+        (combatant.items || []).forEach(itemName => {
+            const item = this.cardCatalog.lookup(itemName, 'items');
+            if (!item) {
+                unknownItems.push(itemName);
+                return;
+            }
+
+            runAwayBonus += item.runAwayBonus || 0;
+
+            let value = item.bonus || 0;
+            (item.modifiers || []).forEach(modifier => {
+                if (races.includes(modifier.for) || classes.includes(modifier.for)) {
+                    value += modifier.bonus;
+                }
+            });
+            if (value !== 0) {
+                breakdown.push({ source: item.name, value });
+            }
+        });
+
+        if (combatant.oneShotBonus) {
+            breakdown.push({ source: `${label} one-shot items`, value: combatant.oneShotBonus });
+        }
+
+        const discards = Math.min(combatant.abilityDiscards || 0, MAX_ABILITY_DISCARDS);
+        if (discards > 0 && classes.includes('Warrior')) {
+            breakdown.push({ source: `${label} Berserking (${discards} discards)`, value: discards });
+        } else if (discards > 0 && classes.includes('Cleric') && undeadPresent) {
+            breakdown.push({ source: `${label} Turning (${discards} discards)`, value: discards * 3 });
+        }
+
+        const total = breakdown.reduce((sum, line) => sum + line.value, 0);
+        return { total, breakdown, races, classes, unknownItems, runAwayBonus };
+    }
+
+    /**
+     * Resolve a fight
+     * @param {Object} input - Combat description
+     * @param {Object} input.player - The player whose turn it is
+     * @param {Array<Object>} input.helpers - Helping players (normally at most one)
+     * @param {Array<Object>} input.monsters - { name, level, enhancers } for each monster in the fight
+     * @param {number} input.playerSideBonus - One-shot bonuses other players put on the players' side
+     * @param {number} input.monsterSideBonus - Bonuses played for the monsters (potions, etc.)
+     * @param {number} input.runAwayBonus - Extra Run Away bonus from cards in play
+     * @param {number} input.flightSpellDiscards - Wizard Flight Spell discards after rolling
+     * @param {number} input.dieRollModifier - Modifier to all die rolls (e.g. -1 from Chicken on Your Head)
+     * @param {boolean} input.playersWinTies - A house rule gives every tie to the players
+     * @returns {Object} - Outcome, strengths with breakdowns, and run-away odds
+     */
+    resolve({
+        player = {},
+        helpers = [],
+        monsters = [],
+        playerSideBonus = 0,
+        monsterSideBonus = 0,
+        runAwayBonus = 0,
+        flightSpellDiscards = 0,
+        dieRollModifier = 0,
+        playersWinTies = false
+    } = {}) {
+        const warnings = [];
+
+        // Resolve monsters first so Undead and race modifiers are known
+        const resolvedMonsters = monsters.map(monster => this.resolveMonster(monster, warnings));
+        const undeadPresent = resolvedMonsters.some(monster => monster.undead);
+
+        const combatants = [player, ...helpers].map((combatant, i) => this.combatantStrength(combatant, {
+            undeadPresent,
+            label: combatant.name || (i === 0 ? 'Player' : `Helper ${i}`)
+        }));
+        combatants.forEach(({ unknownItems }) => {
+            unknownItems.forEach(name => warnings.push(`Unknown item "${name}" was not counted`));
+        });
+
+        const playerBreakdown = combatants.flatMap(combatant => combatant.breakdown);
+        if (playerSideBonus) {
+            playerBreakdown.push({ source: 'Bonuses played for the players', value: playerSideBonus });
+        }
+        const playerStrength = playerBreakdown.reduce((sum, line) => sum + line.value, 0);
+
+        // Monster bonuses against a race or class apply if anyone in the fight has it
+        const allTraits = new Set(combatants.flatMap(({ races, classes }) => [...races, ...classes]));
+        const monsterBreakdown = [];
+        resolvedMonsters.forEach(monster => {
+            monsterBreakdown.push({ source: `${monster.name} level`, value: monster.level });
+            monster.enhancers.forEach(enhancer => monsterBreakdown.push({ source: `${enhancer.name} (${monster.name})`, value: enhancer.bonus }));
+            monster.modifiers
+                .filter(modifier => allTraits.has(modifier.against))
+                .forEach(modifier => monsterBreakdown.push({ source: `${monster.name} vs ${modifier.against}`, value: modifier.bonus }));
+        });
+        if (monsterSideBonus) {
+            monsterBreakdown.push({ source: 'Bonuses played for the monsters', value: monsterSideBonus });
+        }
+        const monsterStrength = monsterBreakdown.reduce((sum, line) => sum + line.value, 0);
+
+        // Players must beat the monsters; ties go to the monster unless the player is a
+        // Warrior or the table's house rules say otherwise
+        const playerIsWarrior = combatants[0].classes.includes('Warrior');
+        const winsTies = playerIsWarrior || playersWinTies;
+        const tie = playerStrength === monsterStrength;
+        const playersWin = playerStrength > monsterStrength || (tie && winsTies);
+
+        return {
+            outcome: playersWin ? 'win' : 'lose',
+            playerStrength,
+            monsterStrength,
+            margin: playerStrength - monsterStrength,
+            neededToWin: playersWin ? 0 : monsterStrength - playerStrength + (winsTies ? 0 : 1),
+            tieRule: tie ? this.tieRule(playerIsWarrior, playersWinTies) : null,
+            playerBreakdown,
+            monsterBreakdown,
+            rewards: playersWin ? this.rewards(resolvedMonsters) : null,
+            runAway: playersWin
+                ? null
+                : this.runAwayOdds(resolvedMonsters, combatants[0], player.level || 1, {
+                    runAwayBonus, flightSpellDiscards, dieRollModifier
+                }),
+            warnings
+        };
+    }
+
+    /**
+     * Explain who won a tie
+     * @param {boolean} playerIsWarrior - The main player is a Warrior
+     * @param {boolean} playersWinTies - A house rule gives ties to the players
+     * @returns {string} - Tie explanation
+     */
+    tieRule(playerIsWarrior, playersWinTies) {
+        if (playersWinTies) {
+            return 'Tie: under the house rule, the players win ties';
+        }
+        return playerIsWarrior ? 'Tie: the player is a Warrior, so the players win' : 'Tie: the monster wins ties';
+    }
+
+    /**
+     * Fill in a monster's level, modifiers and enhancers from the catalog
+     */
+    resolveMonster(monster, warnings) {
+        const card = monster.name ? this.cardCatalog.lookup(monster.name, 'monsters') : null;
+        if (monster.name && !card && monster.level === undefined) {
+            warnings.push(`Unknown monster "${monster.name}" and no level given; assumed Level 1`);
+        }
+
+        const enhancers = (monster.enhancers || []).map(enhancerName => {
+            const enhancer = this.cardCatalog.lookup(enhancerName, 'monsterEnhancers');
+            if (!enhancer) {
+                warnings.push(`Unknown monster enhancer "${enhancerName}" was not counted`);
+                return null;
+            }
+            return enhancer;
+        }).filter(Boolean);
+
+        return {
+            name: card ? card.name : (monster.name || 'Monster'),
+            level: monster.level !== undefined ? monster.level : (card ? card.level : 1),
+            undead: Boolean(monster.undead || (card && card.undead)),
+            modifiers: (card && card.modifiers) || [],
+            enhancers,
+            treasures: (card ? card.treasures : 1) + enhancers.reduce((sum, enhancer) => sum + (enhancer.treasures || 0), 0),
+            levels: card ? card.levels : 1,
+            runAwayBonus: (card && card.runAwayBonus) || 0,
+            autoEscape: Boolean(card && card.autoEscape),
+            cannotEscape: Boolean(card && card.cannotEscape),
+            minimumPursuitLevel: (card && card.minimumPursuitLevel) || 0
+        };
+    }
+
+    /**
+     * Treasures and levels for winning
+     */
+    rewards(monsters) {
+        return {
+            treasures: monsters.reduce((sum, monster) => sum + Math.max(0, monster.treasures), 0),
+            levels: monsters.reduce((sum, monster) => sum + monster.levels, 0)
+        };
+    }
+
+    /**
+     * Chance of escaping each monster, rolling separately for each
+     */
+    runAwayOdds(monsters, player, playerLevel, { runAwayBonus, flightSpellDiscards, dieRollModifier }) {
+        let bonus = runAwayBonus + player.runAwayBonus + dieRollModifier;
+        if (player.races.includes('Elf')) {
+            bonus += 1;
+        }
+        if (player.classes.includes('Wizard')) {
+            bonus += Math.min(flightSpellDiscards, MAX_ABILITY_DISCARDS);
+        }
+
+        const isHalfling = player.races.includes('Halfling');
+
+        const perMonster = monsters.map(monster => {
+            let probability;
+            let note = null;
+
+            if (monster.cannotEscape) {
+                probability = 0;
+                note = 'Cannot be outrun';
+            } else if (monster.autoEscape) {
+                probability = 1;
+                note = 'Escape automatically';
+            } else if (monster.minimumPursuitLevel && playerLevel < monster.minimumPursuitLevel) {
+                probability = 1;
+                note = `Will not pursue anyone below Level ${monster.minimumPursuitLevel}`;
+            } else {
+                const target = BASE_RUN_AWAY_TARGET - bonus - monster.runAwayBonus;
+                probability = rollProbability(target);
+
+                // A Halfling may discard a card to reroll a failed first attempt
+                if (isHalfling) {
+                    probability += (1 - probability) * rollProbability(target);
+                    note = 'Includes the Halfling reroll';
+                }
+            }
+
+            return {
+                monster: monster.name,
+                rollNeeded: Math.max(1, BASE_RUN_AWAY_TARGET - bonus - monster.runAwayBonus),
+                probability: roundProbability(probability),
+                note
+            };
+        });
+
+        return {
+            perMonster,
+            escapeAllProbability: roundProbability(perMonster.reduce((product, { probability }) => product * probability, 1))
+        };
+    }
+}
+
+module.exports = CombatCalculator;
@@ -0,0 +1,291 @@
+/**
+ * Rules Index
+ * Chunks rulebook, FAQ and errata text files and ranks the chunks against a
+ * question with BM25, entirely in memory with no external service
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File types picked up from a game's rules folder
+const RULE_FILE_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Target chunk size in words; sections longer than this are split at paragraph breaks
+const CHUNK_WORDS = 150;
+
+// BM25 tuning constants (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to help ranking
+const STOPWORDS = new Set([
+    'a', 'about', 'am', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'had', 'happen', 'happens', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of',
+    'on', 'or', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a crude stem so "monsters" matches "monster" and "fighting" matches "fight"
+ * @param {string} word - Lowercase word
+ */
+function stem(word) {
+    if (word.length <= 3) {
+        return word;
+    }
+    if (word.length > 5 && /(ing|ed)$/.test(word)) {
+        // "running" -> "runn" -> "run"
+        word = word.replace(/(ing|ed)$/, '').replace(/([^aeiouls])\1$/, '$1');
+    }
+    if (word.length > 4 && word.endsWith('ies')) {
+        return word.replace(/ies$/, 'y');
+    }
+    return word.replace(/([^s])s$/, '$1');
+}
+
+/**
+ * Split text into lowercase, stemmed search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms, stopwords removed
+ */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+        .map(word => word.replace(/'[a-z]+$/, ''))
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+class RulesIndex {
+    constructor() {
+        this.chunks = [];
+        this.documentFrequency = new Map();
+        this.averageLength = 0;
+    }
+
+    /**
+     * Build an index from every rules file in a directory
+     * @param {string} directory - Folder of Markdown/plain-text rule files
+     * @returns {RulesIndex} - Index, empty if the folder does not exist
+     */
+    static fromDirectory(directory) {
+        return new RulesIndex().addDirectory(directory);
+    }
+
+    /**
+     * Add every rules file in a directory to the index
+     * @param {string} directory - Folder of Markdown/plain-text rule files; skipped if it does not exist
+     * @param {Object} options - Where the files come from
+     * @param {string} options.set - Id of the edition or expansion the rules belong to; null for the base game
+     * @param {string} options.sourcePrefix - Prefix for the file names shown in citations, e.g. "deluxe/"
+     * @returns {RulesIndex} - This index, for chaining
+     */
+    addDirectory(directory, { set = null, sourcePrefix = '' } = {}) {
+        if (!fs.existsSync(directory)) {
+            return this;
+        }
+
+        fs.readdirSync(directory)
+            .filter(file => RULE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            // A README describes the folder itself and is not part of the rules
+            .filter(file => !/^readme\./i.test(file))
+            .sort()
+            .forEach(file => {
+                const text = fs.readFileSync(path.join(directory, file), 'utf8');
+                this.addDocument(`${sourcePrefix}${file}`, text, { set });
+            });
+
+        return this;
+    }
+
+    /**
+     * Chunk a document by heading and size, then add the chunks to the index
+     * @param {string} source - Source name shown in citations (usually the file name)
+     * @param {string} text - Markdown or plain text
+     * @param {Object} options - Document options
+     * @param {string} options.set - Id of the edition or expansion the document belongs to; null for the base game
+     */
+    addDocument(source, text, { set = null } = {}) {
+        this.splitIntoSections(text).forEach(({ heading, body }) => {
+            this.splitIntoChunks(body).forEach(chunkText => this.addChunk(source, heading, chunkText, set));
+        });
+        this.updateAverageLength();
+    }
+
+    /**
+     * Index a nested knowledge object, one chunk per leaf entry
+     * @param {string} source - Source name shown in citations
+     * @param {Object} knowledge - Nested object of strings and string arrays
+     */
+    addKnowledge(source, knowledge) {
+        const visit = (value, headingPath) => {
+            if (typeof value === 'string' || Array.isArray(value)) {
+                const text = Array.isArray(value) ? value.join('\n') : value;
+                this.addChunk(source, headingPath.join(' > '), text);
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => visit(child, [...headingPath, key]));
+            }
+        };
+
+        visit(knowledge, []);
+        this.updateAverageLength();
+    }
+
+    /**
+     * Split text at Markdown headings, tracking the heading path for each section
+     * @param {string} text - Document text
+     * @returns {Array<Object>} - Sections as { heading, body }
+     */
+    splitIntoSections(text) {
+        const sections = [];
+        const headingPath = [];
+        let body = [];
+
+        const flush = () => {
+            const content = body.join('\n').trim();
+            if (content) {
+                sections.push({ heading: headingPath.filter(Boolean).join(' > '), body: content });
+            }
+            body = [];
+        };
+
+        text.split(/\r?\n/).forEach(line => {
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flush();
+                const level = heading[1].length;
+                headingPath.length = level - 1;
+                headingPath[level - 1] = heading[2];
+            } else {
+                body.push(line);
+            }
+        });
+        flush();
+
+        return sections;
+    }
+
+    /**
+     * Group paragraphs into chunks of roughly CHUNK_WORDS words
+     * @param {string} body - Section text
+     * @returns {Array<string>} - Chunk texts
+     */
+    splitIntoChunks(body) {
+        const chunks = [];
+        let current = [];
+        let words = 0;
+
+        body.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+            const paragraphWords = paragraph.split(/\s+/).length;
+            if (words > 0 && words + paragraphWords > CHUNK_WORDS) {
+                chunks.push(current.join('\n\n'));
+                current = [];
+                words = 0;
+            }
+            current.push(paragraph);
+            words += paragraphWords;
+        });
+
+        if (current.length > 0) {
+            chunks.push(current.join('\n\n'));
+        }
+        return chunks;
+    }
+
+    /**
+     * Add one chunk and update document frequencies
+     * @param {string} source - Source file name
+     * @param {string} heading - Heading path of the section
+     * @param {string} text - Chunk text
+     * @param {string} set - Edition or expansion id, or null for the base game
+     */
+    addChunk(source, heading, text, set = null) {
+        // Headings are indexed too, so "Running Away" matches a section of that name
+        const terms = tokenize(`${heading} ${text}`);
+        const termCounts = new Map();
+        terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+
+        termCounts.forEach((count, term) => {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+
+        this.chunks.push({
+            id: `${source}#${this.chunks.length}`,
+            source,
+            heading,
+            text,
+            set,
+            length: terms.length,
+            termCounts
+        });
+    }
+
+    /**
+     * Recompute the average chunk length used by BM25 normalization
+     */
+    updateAverageLength() {
+        const total = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        this.averageLength = this.chunks.length > 0 ? total / this.chunks.length : 0;
+    }
+
+    /**
+     * Rank chunks against a query with BM25
+     * @param {string} query - Question or search text
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @param {number} options.minScore - Results scoring below this are dropped
+     * @param {Array<string>} options.sets - Editions and expansions in play; base game chunks always match. Null searches everything.
+     * @returns {Array<Object>} - Matches as { id, source, heading, text, score }, best first
+     */
+    search(query, { limit = 4, minScore = 0.5, sets = null } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 || this.chunks.length === 0) {
+            return [];
+        }
+
+        return this.chunks
+            .filter(chunk => !sets || !chunk.set || sets.includes(chunk.set))
+            .map(chunk => {
+                let score = 0;
+                queryTerms.forEach(term => {
+                    const frequency = chunk.termCounts.get(term);
+                    if (!frequency) {
+                        return;
+                    }
+                    const idf = this.inverseDocumentFrequency(term);
+                    const lengthNorm = 1 - BM25_B + BM25_B * (chunk.length / this.averageLength);
+                    score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+                });
+                return { chunk, score };
+            })
+            .filter(({ score }) => score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ chunk, score }) => ({
+                id: chunk.id,
+                source: chunk.source,
+                heading: chunk.heading,
+                text: chunk.text,
+                score
+            }));
+    }
+
+    /**
+     * How rare a term is across the indexed chunks, as BM25 weighs it
+     * @param {string} term - Term from tokenize()
+     * @returns {number} - Higher for rarer terms; terms in no chunk weigh the most
+     */
+    inverseDocumentFrequency(term) {
+        const documentFrequency = this.documentFrequency.get(term) || 0;
+        return Math.log(1 + (this.chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * Number of indexed chunks
+     */
+    get size() {
+        return this.chunks.length;
+    }
+}
+
+module.exports = RulesIndex;
+module.exports.tokenize = tokenize;